@@ -0,0 +1,23 @@
+// Site configuration, loaded by every page before script.js.
+// Currency rates are maintained here by hand; the site never calls a live rates service.
+
+const SITE_CONFIG = {
+    currency: {
+        // Prices in database.json are in this currency
+        base: 'INR',
+        // Date the rates below were taken, shown next to the currency switcher
+        ratesAsOf: '2024-06-01',
+        // Units of each currency per 1 INR
+        rates: {
+            INR: 1,
+            USD: 0.012,
+            EUR: 0.011
+        },
+        // Locale used to format each currency (digit grouping and symbol placement)
+        locales: {
+            INR: 'en-IN',
+            USD: 'en-US',
+            EUR: 'de-DE'
+        }
+    }
+};
@@ -0,0 +1,594 @@
+// Schema and integrity checks for database.json and brands.json, and the
+// canonical layout database.json is written in. This file is shared: the pages
+// load it before script.js, and the Node tools in tools/ require it directly.
+
+// --- STATUS MODEL ---
+
+/**
+ * Production status categories, keyed by the slug used in filters, URLs and
+ * CSS classes. The values are the canonical `status` strings in database.json.
+ */
+const STATUS_CATEGORIES = {
+    'in-production': 'In Production',
+    'limited': 'Limited Production',
+    'discontinued': 'Discontinued',
+    'banned': 'Banned'
+};
+
+/**
+ * Normalizes a bike's status into a category plus structured details.
+ * Details come from the optional `production` object on the record; older
+ * free-text statuses such as "Limited Production (23 units)" are still understood.
+ * @param {object} bike The bike record.
+ * @returns {{category: string, label: string, units: number|null, startYear: number|null,
+ *   endYear: number|null, bannedIn: Array<string>}} The structured status.
+ */
+function parseStatus(bike) {
+    const text = typeof bike.status === 'string' ? bike.status.trim() : '';
+    const production = bike.production || {};
+
+    let category = Object.keys(STATUS_CATEGORIES).find(key => text.toLowerCase().startsWith(STATUS_CATEGORIES[key].toLowerCase()));
+    if (!category) {
+        category = text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'unknown';
+    }
+
+    const unitsMatch = text.match(/\(([\d,]+)\s*units?\)/i);
+    const units = production.units ?? (unitsMatch ? Number(unitsMatch[1].replace(/,/g, '')) : null);
+
+    return {
+        category,
+        label: STATUS_CATEGORIES[category] || text || 'Unknown',
+        units,
+        startYear: production.start_year ?? null,
+        endYear: production.end_year ?? null,
+        bannedIn: production.banned_in || []
+    };
+}
+
+// --- SCHEMA ---
+
+/**
+ * The shape of a single bike record. Each field describes its type, whether
+ * null is allowed, and (for numbers) the range we consider plausible.
+ * Values outside the range are reported as warnings, not errors, because a
+ * record with an odd-looking number still renders fine.
+ */
+const BIKE_SCHEMA = {
+    id: { type: 'string', required: true },
+    brand: { type: 'string', required: true },
+    model: { type: 'string', required: true },
+    year: { type: 'integer', required: true, min: 1885, max: new Date().getFullYear() + 1 },
+    status: { type: 'string', required: true, enum: Object.values(STATUS_CATEGORIES) },
+    production: {
+        type: 'object',
+        properties: {
+            units: { type: 'integer', nullable: true, min: 1 },
+            start_year: { type: 'integer', nullable: true, min: 1885, max: new Date().getFullYear() + 1 },
+            end_year: { type: 'integer', nullable: true, min: 1885, max: new Date().getFullYear() + 1 },
+            banned_in: { type: 'array', items: { type: 'string' } }
+        }
+    },
+    // Ids of the previous and next generation of the model (checked across records in validateDatabase)
+    lineage: {
+        type: 'object',
+        properties: {
+            predecessor: { type: 'string', nullable: true },
+            successor: { type: 'string', nullable: true }
+        }
+    },
+    tags: { type: 'array', required: true, items: { type: 'string' } },
+    imageURL: { type: 'string', required: true, pattern: /^https?:\/\//, patternLabel: 'an http(s) URL' },
+    history: { type: 'string', required: true },
+    specs: {
+        type: 'object',
+        required: true,
+        properties: {
+            engine: { type: 'string', required: true },
+            horsepower: { type: 'number', required: true, nullable: true, min: 0.1, max: 350 },
+            torque: { type: 'number', required: true, nullable: true, min: 1, max: 400 },
+            mileage_kmpl: { type: 'number', required: true, nullable: true, min: 5, max: 500 },
+            top_speed: { type: 'number', required: true, nullable: true, min: 20, max: 420 },
+            weight: { type: 'number', required: true, nullable: true, min: 3, max: 600 },
+            cc: { type: 'number', required: true, min: 0, max: 2500 },
+            price_original_inr: { type: 'number', required: true, nullable: true, min: 1000, max: 100000000 }
+        }
+    },
+    color_variants: { type: 'array', required: true, items: { type: 'string' } }
+};
+
+/**
+ * The shape of a brand's entry in brands.json (brand name -> metadata). Every
+ * field is required but may be null when it isn't known.
+ */
+const BRAND_SCHEMA = {
+    country: { type: 'string', required: true, nullable: true },
+    founded: { type: 'integer', required: true, nullable: true, min: 1800, max: new Date().getFullYear() },
+    parent: { type: 'string', required: true, nullable: true },
+    logoURL: { type: 'string', required: true, nullable: true, pattern: /^https?:\/\//, patternLabel: 'an http(s) URL' }
+};
+
+// Allowed deviation between specs.cc and a displacement tag such as "125cc".
+// Class tags are rounded ("400cc" on a 346cc scooter), so this is generous.
+const CC_TAG_TOLERANCE = 0.2;
+
+// --- HELPERS ---
+
+/**
+ * Builds a violation entry.
+ * @param {string} severity 'error' (record is unusable) or 'warning' (record is suspicious).
+ * @param {string} path Location of the problem, e.g. 'Adly[0].specs.horsepower'.
+ * @param {string} message Human-readable description.
+ * @returns {object} The violation.
+ */
+function makeViolation(severity, path, message) {
+    return { severity, path, message };
+}
+
+/**
+ * Returns a short description of a value's type for error messages.
+ * @param {any} value The value to describe.
+ * @returns {string} e.g. 'null', 'array', 'string'.
+ */
+function describeType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+/**
+ * Checks whether a value matches a schema type name.
+ * @param {any} value The value to check.
+ * @param {string} type One of 'string', 'number', 'integer', 'array', 'object'.
+ * @returns {boolean} True if the value has the expected type.
+ */
+function matchesType(value, type) {
+    switch (type) {
+        case 'string': return typeof value === 'string';
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'integer': return Number.isInteger(value);
+        case 'array': return Array.isArray(value);
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        default: return false;
+    }
+}
+
+/**
+ * Reduces a brand name to the form used as an id prefix
+ * ("Harley-Davidson" -> "harleydavidson", "Dürkopp" -> "durkopp").
+ * @param {string} brand The brand name.
+ * @returns {string} The slug.
+ */
+function brandSlug(brand) {
+    return brand.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// --- RECORD VALIDATION ---
+
+/**
+ * Validates one value against a schema field, recursing into objects and arrays.
+ * @param {any} value The value to check.
+ * @param {object} field The schema field definition.
+ * @param {string} path Path of the value, used in violation messages.
+ * @param {Array} violations Array that violations are pushed onto.
+ */
+function validateField(value, field, path, violations) {
+    if (value === undefined) {
+        if (field.required) violations.push(makeViolation('error', path, 'is missing'));
+        return;
+    }
+    if (value === null) {
+        if (!field.nullable) violations.push(makeViolation('error', path, `must be ${field.type}, got null`));
+        return;
+    }
+    if (!matchesType(value, field.type)) {
+        violations.push(makeViolation('error', path, `must be ${field.type}, got ${describeType(value)}`));
+        return;
+    }
+
+    if (field.type === 'string' && value.trim() === '') {
+        violations.push(makeViolation('error', path, 'must not be empty'));
+    }
+    if (field.enum && !field.enum.includes(value)) {
+        violations.push(makeViolation('warning', path, `"${value}" should be one of: ${field.enum.join(', ')}`));
+    }
+    if (field.pattern && !field.pattern.test(value)) {
+        violations.push(makeViolation('warning', path, `should be ${field.patternLabel}`));
+    }
+    if (field.min !== undefined && value < field.min) {
+        violations.push(makeViolation('warning', path, `${value} is below the plausible minimum of ${field.min}`));
+    }
+    if (field.max !== undefined && value > field.max) {
+        violations.push(makeViolation('warning', path, `${value} is above the plausible maximum of ${field.max}`));
+    }
+    if (field.items) {
+        value.forEach((item, i) => validateField(item, field.items, `${path}[${i}]`, violations));
+    }
+    if (field.properties) {
+        validateProperties(value, field.properties, path, violations);
+    }
+}
+
+/**
+ * Validates every property of an object against a property map, and flags keys
+ * the schema doesn't know about (usually a typo, e.g. "horsepwer").
+ * @param {object} obj The object to check.
+ * @param {object} properties Map of key to schema field.
+ * @param {string} path Path of the object.
+ * @param {Array} violations Array that violations are pushed onto.
+ */
+function validateProperties(obj, properties, path, violations) {
+    for (const [key, field] of Object.entries(properties)) {
+        validateField(obj[key], field, `${path}.${key}`, violations);
+    }
+    for (const key of Object.keys(obj)) {
+        if (!(key in properties)) {
+            violations.push(makeViolation('warning', `${path}.${key}`, 'is not a known field'));
+        }
+    }
+}
+
+/**
+ * Checks the record-level rules that the per-field schema can't express:
+ * id format, production years, electric/cc consistency and displacement tags.
+ * Assumes the record already passed type validation.
+ * @param {object} bike The bike record.
+ * @param {string} path Path of the record.
+ * @param {Array} violations Array that violations are pushed onto.
+ */
+function validateConsistency(bike, path, violations) {
+    // Ids follow brand_model_year in lowercase snake case.
+    if (!/^[a-z0-9]+(_[a-z0-9]+)+$/.test(bike.id)) {
+        violations.push(makeViolation('warning', `${path}.id`, `"${bike.id}" should be lowercase brand_model_year`));
+    } else {
+        if (!bike.id.endsWith(`_${bike.year}`)) {
+            violations.push(makeViolation('warning', `${path}.id`, `"${bike.id}" should end with the year ${bike.year}`));
+        }
+        if (!bike.id.replace(/_/g, '').startsWith(brandSlug(bike.brand))) {
+            violations.push(makeViolation('warning', `${path}.id`, `"${bike.id}" should start with the brand "${brandSlug(bike.brand)}"`));
+        }
+    }
+
+    if (bike.production) {
+        const { start_year: start, end_year: end } = bike.production;
+        if (start != null && end != null && end < start) {
+            violations.push(makeViolation('warning', `${path}.production.end_year`, `${end} is before start_year ${start}`));
+        }
+        if (bike.status === STATUS_CATEGORIES['in-production'] && end != null) {
+            violations.push(makeViolation('warning', `${path}.production.end_year`, 'is set but the status is In Production'));
+        }
+    }
+
+    const isElectric = bike.tags.includes('Electric');
+    if (bike.specs.cc === 0 && !isElectric) {
+        violations.push(makeViolation('warning', `${path}.specs.cc`, 'is 0 but the bike is not tagged Electric'));
+    }
+    if (bike.specs.cc > 0 && isElectric) {
+        violations.push(makeViolation('warning', `${path}.specs.cc`, `is ${bike.specs.cc} but the bike is tagged Electric`));
+    }
+
+    bike.tags.forEach((tag, i) => {
+        const match = tag.match(/^(\d+)cc$/);
+        if (!match) return;
+        const tagged = Number(match[1]);
+        if (Math.abs(bike.specs.cc - tagged) > tagged * CC_TAG_TOLERANCE) {
+            violations.push(makeViolation('warning', `${path}.tags[${i}]`, `"${tag}" does not match specs.cc of ${bike.specs.cc}`));
+        }
+    });
+}
+
+/**
+ * Validates a single bike record.
+ * @param {object} bike The bike record.
+ * @param {string} [path='bike'] Path of the record, used in violation messages.
+ * @returns {Array<object>} The violations found (empty if the record is clean).
+ */
+function validateBike(bike, path = 'bike') {
+    const violations = [];
+    if (!matchesType(bike, 'object')) {
+        violations.push(makeViolation('error', path, `must be object, got ${describeType(bike)}`));
+        return violations;
+    }
+    validateProperties(bike, BIKE_SCHEMA, path, violations);
+    if (!violations.some(v => v.severity === 'error')) {
+        validateConsistency(bike, path, violations);
+    }
+    return violations;
+}
+
+// --- DATABASE VALIDATION ---
+
+/**
+ * Checks the lineage links between valid records: each must point at another
+ * known bike, be mirrored by that bike (A.successor = B needs B.predecessor = A),
+ * and run forward in time.
+ * @param {Array<object>} bikes The records without errors.
+ * @param {Map<string, string>} paths Bike id -> path of the record.
+ * @param {Array} violations Array that violations are pushed onto.
+ */
+function validateLineage(bikes, paths, violations) {
+    const byId = new Map(bikes.map(bike => [bike.id, bike]));
+    const reverseKeys = { predecessor: 'successor', successor: 'predecessor' };
+
+    bikes.forEach(bike => {
+        if (!bike.lineage) return;
+        for (const [key, reverse] of Object.entries(reverseKeys)) {
+            const target = bike.lineage[key];
+            if (target === null || target === undefined) continue;
+            const other = byId.get(target);
+            let message = null;
+            if (target === bike.id) {
+                message = 'points at the bike itself';
+            } else if (!other) {
+                message = `"${target}" is not a known bike id`;
+            } else if (!other.lineage || other.lineage[reverse] !== bike.id) {
+                message = `"${target}" does not list "${bike.id}" as its ${reverse}`;
+            } else if (key === 'predecessor' ? other.year > bike.year : other.year < bike.year) {
+                message = `"${target}" (${other.year}) should be ${key === 'predecessor' ? 'older' : 'newer'} than ${bike.year}`;
+            }
+            if (message) {
+                violations.push({ ...makeViolation('warning', `${paths.get(bike.id)}.lineage.${key}`, message), id: bike.id });
+            }
+        }
+    });
+}
+
+/**
+ * Validates the whole database (the object of brand key -> array of bikes),
+ * including cross-record checks: unique ids, brand keys matching bike.brand
+ * and lineage links.
+ * @param {object} dataByBrand The parsed database.json.
+ * @returns {{bikes: Array<object>, violations: Array<object>}} The records without
+ *   errors (in file order) and every violation found. Violations carry the bike
+ *   id when it is known.
+ */
+function validateDatabase(dataByBrand) {
+    const bikes = [];
+    const violations = [];
+
+    if (!matchesType(dataByBrand, 'object')) {
+        violations.push(makeViolation('error', '$', `database must be an object keyed by brand, got ${describeType(dataByBrand)}`));
+        return { bikes, violations };
+    }
+
+    const seenIds = new Map();
+    for (const [brandKey, list] of Object.entries(dataByBrand)) {
+        if (!Array.isArray(list)) {
+            violations.push(makeViolation('error', brandKey, `must be an array of bikes, got ${describeType(list)}`));
+            continue;
+        }
+        list.forEach((bike, i) => {
+            const path = `${brandKey}[${i}]`;
+            const found = validateBike(bike, path);
+
+            if (matchesType(bike, 'object')) {
+                if (typeof bike.brand === 'string' && bike.brand !== brandKey) {
+                    found.push(makeViolation('warning', `${path}.brand`, `"${bike.brand}" is filed under the brand key "${brandKey}"`));
+                }
+                if (typeof bike.id === 'string') {
+                    if (seenIds.has(bike.id)) {
+                        found.push(makeViolation('error', `${path}.id`, `duplicate id "${bike.id}" (first used at ${seenIds.get(bike.id)})`));
+                    } else {
+                        seenIds.set(bike.id, path);
+                    }
+                }
+                found.forEach(v => { v.id = typeof bike.id === 'string' ? bike.id : null; });
+            }
+
+            violations.push(...found);
+            if (!found.some(v => v.severity === 'error')) {
+                bikes.push(bike);
+            }
+        });
+    }
+
+    validateLineage(bikes, seenIds, violations);
+    return { bikes, violations };
+}
+
+/**
+ * Validates brands.json (the object of brand name -> metadata) and checks it
+ * against the bikes: every brand with bikes should have an entry, and every
+ * entry should have bikes. Names are matched against `bike.brand`.
+ * @param {object} brandsByName The parsed brands.json.
+ * @param {Array<object>} [bikes] Valid bikes, as returned by validateDatabase().
+ * @returns {{brands: Object<string, object>, violations: Array<object>}} The entries
+ *   without errors and every violation found.
+ */
+function validateBrands(brandsByName, bikes = []) {
+    const brands = {};
+    const violations = [];
+
+    if (!matchesType(brandsByName, 'object')) {
+        violations.push(makeViolation('error', '$', `brands must be an object keyed by brand name, got ${describeType(brandsByName)}`));
+        return { brands, violations };
+    }
+
+    for (const [name, info] of Object.entries(brandsByName)) {
+        const found = [];
+        if (matchesType(info, 'object')) {
+            validateProperties(info, BRAND_SCHEMA, name, found);
+        } else {
+            found.push(makeViolation('error', name, `must be object, got ${describeType(info)}`));
+        }
+        violations.push(...found);
+        if (!found.some(v => v.severity === 'error')) {
+            brands[name] = info;
+        }
+    }
+
+    const bikeBrands = new Set(bikes.map(bike => bike.brand));
+    bikeBrands.forEach(name => {
+        if (!(name in brandsByName)) {
+            violations.push(makeViolation('warning', name, 'has bikes but no entry in brands.json'));
+        }
+    });
+    if (bikes.length > 0) {
+        Object.keys(brandsByName).filter(name => !bikeBrands.has(name)).forEach(name => {
+            violations.push(makeViolation('warning', name, 'has no bikes in database.json'));
+        });
+    }
+
+    return { brands, violations };
+}
+
+/**
+ * Formats a violation as a single line, e.g.
+ * "error   Adly[0].specs.horsepower: must be number, got string".
+ * @param {object} violation The violation.
+ * @returns {string} The formatted line.
+ */
+function formatViolation(violation) {
+    return `${violation.severity.padEnd(7)} ${violation.path}: ${violation.message}`;
+}
+
+// --- DATABASE FILE ---
+
+/**
+ * Builds the id a new bike should get: lowercase brand_model_year
+ * ("Royal Enfield", "Bullet 350", 2021 -> "royalenfield_bullet_350_2021").
+ * @param {string} brand The brand name.
+ * @param {string} model The model name.
+ * @param {number} year The model year.
+ * @returns {string} The id.
+ */
+function makeBikeId(brand, model, year) {
+    const modelSlug = String(model).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+        .replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+    return [brandSlug(String(brand)), modelSlug, year].filter(part => part !== '').join('_');
+}
+
+/**
+ * Orders an object's keys the way a schema lists them, recursing into nested
+ * objects. Keys the schema doesn't know keep their order, after the known ones.
+ * @param {object} obj The object.
+ * @param {object} properties Map of key to schema field.
+ * @returns {object} A copy with the keys in schema order.
+ */
+function orderFields(obj, properties) {
+    const keys = Object.keys(obj);
+    const ordered = {};
+    [...Object.keys(properties).filter(key => keys.includes(key)), ...keys.filter(key => !(key in properties))].forEach(key => {
+        const field = properties[key];
+        ordered[key] = field && field.properties && matchesType(obj[key], 'object') ? orderFields(obj[key], field.properties) : obj[key];
+    });
+    return ordered;
+}
+
+/**
+ * Puts the database in its canonical order: brands A-Z, each brand's bikes by
+ * model then year, and every record's fields in BIKE_SCHEMA order. Brands left
+ * without bikes are dropped.
+ * @param {object} dataByBrand The database (brand key -> array of bikes).
+ * @returns {object} A sorted copy.
+ */
+function sortDatabase(dataByBrand) {
+    const compareText = (a, b) => String(a).localeCompare(String(b), 'en', { sensitivity: 'base', numeric: true });
+    const sorted = {};
+    Object.keys(dataByBrand).sort(compareText).forEach(brand => {
+        if (!Array.isArray(dataByBrand[brand]) || dataByBrand[brand].length === 0) return;
+        sorted[brand] = [...dataByBrand[brand]]
+            .sort((a, b) => compareText(a.model, b.model) || a.year - b.year)
+            .map(bike => matchesType(bike, 'object') ? orderFields(bike, BIKE_SCHEMA) : bike);
+    });
+    return sorted;
+}
+
+// Objects of plain values with fewer keys than this (e.g. `lineage`) are written on one line
+const INLINE_OBJECT_KEYS = 4;
+
+/**
+ * Serializes a value in database.json's layout: objects one key per line
+ * (indented four spaces per level), arrays of plain values and small objects
+ * of plain values on one line.
+ * @param {any} value The value.
+ * @param {string} indent The indentation of the line the value starts on.
+ * @returns {string} The JSON.
+ */
+function formatJSONValue(value, indent) {
+    if (Array.isArray(value)) {
+        if (value.every(item => item === null || typeof item !== 'object')) {
+            return `[${value.map(item => JSON.stringify(item)).join(', ')}]`;
+        }
+        const inner = `${indent}    `;
+        return `[\n${value.map(item => `${inner}${formatJSONValue(item, inner)}`).join(',\n')}\n${indent}]`;
+    }
+    if (value !== null && typeof value === 'object') {
+        const entries = Object.entries(value);
+        if (entries.length === 0) return '{}';
+        if (entries.length < INLINE_OBJECT_KEYS && entries.every(([, item]) => item === null || typeof item !== 'object')) {
+            return `{ ${entries.map(([key, item]) => `${JSON.stringify(key)}: ${JSON.stringify(item)}`).join(', ')} }`;
+        }
+        const inner = `${indent}    `;
+        return `{\n${entries.map(([key, item]) => `${inner}${JSON.stringify(key)}: ${formatJSONValue(item, inner)}`).join(',\n')}\n${indent}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Writes the database as the text of database.json: sorted by sortDatabase(),
+ * in the file's layout, with CRLF line endings.
+ * @param {object} dataByBrand The database (brand key -> array of bikes).
+ * @returns {string} The file contents.
+ */
+function formatDatabase(dataByBrand) {
+    const brands = Object.entries(sortDatabase(dataByBrand)).map(([brand, bikes]) =>
+        `  ${JSON.stringify(brand)}: [\n${bikes.map(bike => `    ${formatJSONValue(bike, '    ')}`).join(',\n')}\n  ]`);
+    return `{\n${brands.join(',\n')}\n}`.replace(/\n/g, '\r\n');
+}
+
+/**
+ * Finds the brand key a bike of a brand is filed under. A few keys differ from
+ * their bikes' `brand` ("EBR (Erik Buell Racing)" holds "EBR", "Confederate / Curtiss"
+ * holds both), so a key that already holds bikes of the brand comes first, then
+ * a key named after it.
+ * @param {object} dataByBrand The database (brand key -> array of bikes).
+ * @param {string} brand The bike's `brand`.
+ * @returns {string} The brand key (the brand itself when no key holds it yet).
+ */
+function findBrandKey(dataByBrand, brand) {
+    const holding = Object.keys(dataByBrand).find(key => Array.isArray(dataByBrand[key]) &&
+        dataByBrand[key].some(bike => bike && bike.brand === brand));
+    return holding ?? brand;
+}
+
+/**
+ * Adds new bikes to a database, each under its brand's key (see findBrandKey()). Nothing is added if
+ * any bike's id is already taken (in the database or earlier in `bikes`).
+ * @param {object} dataByBrand The database (brand key -> array of bikes).
+ * @param {Array<object>} bikes The bikes to add.
+ * @returns {{data: object, duplicates: Array<{id: string, index: number, path: (string|null), first: (number|null)}>}}
+ *   The merged copy (the input is left alone), and every duplicate with its index
+ *   in `bikes` and where the id is already used: the path of a database record,
+ *   or the index of an earlier new bike.
+ */
+function mergeBikes(dataByBrand, bikes) {
+    const seen = new Map();
+    Object.entries(dataByBrand).forEach(([brand, list]) => {
+        if (Array.isArray(list)) list.forEach((bike, i) => seen.set(bike && bike.id, { path: `${brand}[${i}]`, first: null }));
+    });
+    const duplicates = [];
+    bikes.forEach((bike, index) => {
+        if (seen.has(bike.id)) {
+            duplicates.push({ id: bike.id, index, ...seen.get(bike.id) });
+        } else {
+            seen.set(bike.id, { path: null, first: index });
+        }
+    });
+
+    const data = Object.fromEntries(Object.entries(dataByBrand).map(([brand, list]) => [brand, Array.isArray(list) ? [...list] : list]));
+    if (duplicates.length === 0) {
+        bikes.forEach(bike => {
+            const key = findBrandKey(data, bike.brand);
+            if (!Array.isArray(data[key])) data[key] = [];
+            data[key].push(bike);
+        });
+    }
+    return { data, duplicates };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        STATUS_CATEGORIES, parseStatus, BIKE_SCHEMA, BRAND_SCHEMA, validateBike, validateDatabase, validateBrands, formatViolation,
+        makeBikeId, sortDatabase, formatDatabase, findBrandKey, mergeBikes
+    };
+}
@@ -1,18 +1,172 @@
 // Global variable to hold the flattened array of all motorcycles
 let motorcycles = [];
 
+// Schema violations found in database.json by the last load (see schema.js)
+let databaseIssues = [];
+
+// The database fetch in progress, shared by everything that calls loadDatabase() meanwhile
+let databaseRequest = null;
+
+// Brand name -> country, founded, parent and logoURL from brands.json (null until loaded)
+let brandMetadata = null;
+
+// --- SAFE RENDERING ---
+//
+// Markup is built with the html`` tag below, which escapes every interpolated
+// value unless it is itself markup from html`` (or trustedHTML()). Arrays are
+// rendered item by item, so `${items.map(item => html`...`)}` needs no join().
+// null, undefined and false render as nothing, for `${condition && html`...`}`.
+
+/**
+ * Markup built by html`` or trustedHTML(). String(markup), or assigning it to
+ * innerHTML, gives the HTML.
+ * @typedef {{markup: string}} SafeHTML
+ */
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' };
+
+// Property marking markup made by html`` or trustedHTML(), so it isn't escaped twice
+const SAFE_HTML = Symbol('safeHTML');
+
+/**
+ * Escapes text for use in HTML content or a quoted attribute.
+ * @param {any} value The value to escape.
+ * @returns {string} The escaped text.
+ */
+function escapeHTML(value) {
+    return String(value).replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+}
+
+/**
+ * Marks a string as markup that html`` should insert as-is. Only for markup
+ * built by this script, never for data.
+ * @param {string} markup The HTML.
+ * @returns {SafeHTML} The marked markup.
+ */
+function trustedHTML(markup) {
+    return { [SAFE_HTML]: true, markup: String(markup), toString() { return this.markup; } };
+}
+
+/**
+ * Renders one interpolated value for html``.
+ * @param {any} value The value.
+ * @returns {string} The HTML for it.
+ */
+function renderHTMLValue(value) {
+    if (value === null || value === undefined || value === false) return '';
+    if (Array.isArray(value)) return value.map(renderHTMLValue).join('');
+    if (value[SAFE_HTML]) return value.markup;
+    return escapeHTML(value);
+}
+
+/**
+ * Template tag that builds markup, escaping every interpolated value.
+ * @param {Array<string>} strings The template's literal parts.
+ * @param {...any} values The interpolated values.
+ * @returns {SafeHTML} The markup.
+ */
+function html(strings, ...values) {
+    return trustedHTML(strings.reduce((out, part, i) => out + renderHTMLValue(values[i - 1]) + part));
+}
+
+/**
+ * Returns a URL that is safe to put in a src/href: relative, http(s) or an
+ * image data: URL. Anything else (javascript:, other schemes) gives ''.
+ * Browsers ignore tabs and line breaks anywhere in a URL and control
+ * characters around it ("java\nscript:" is javascript:), so those are removed
+ * before the scheme is checked.
+ * @param {string} url The URL from the data.
+ * @returns {string} The cleaned URL, or '' if it isn't allowed.
+ */
+function safeURL(url) {
+    const value = String(url ?? '').replace(/[\t\n\r]/g, '').replace(/^[\u0000-\u0020]+|[\u0000-\u0020]+$/g, '');
+    const scheme = value.match(/^([a-z][a-z0-9+.-]*):/i);
+    if (!scheme) return value;
+    const name = scheme[1].toLowerCase();
+    if (name === 'http' || name === 'https') return value;
+    return /^data:image\/(png|jpe?g|gif|webp|svg\+xml)[;,]/i.test(value) ? value : '';
+}
+
+// Longest query string value accepted from the URL; the rest is cut off
+const MAX_QUERY_VALUE_LENGTH = 200;
+
+/**
+ * Cleans a value taken from the URL: control characters removed, trimmed
+ * and capped in length. It is still untrusted text and must be escaped.
+ * @param {string|null} value The raw (already percent-decoded) value.
+ * @returns {string} The cleaned value ('' for null).
+ */
+function cleanQueryValue(value) {
+    return String(value ?? '').replace(/[\u0000-\u001f\u007f]/g, '').trim().slice(0, MAX_QUERY_VALUE_LENGTH);
+}
+
+/**
+ * Reads a query string parameter of the current page as cleaned text.
+ * @param {string} name The parameter name.
+ * @returns {string} The value, or '' if it's missing.
+ */
+function getQueryParam(name) {
+    return cleanQueryValue(new URLSearchParams(window.location.search).get(name));
+}
+
+// --- CLICK ACTIONS ---
+//
+// Rendered markup has no inline onclick handlers. Buttons name what they do in
+// data-action (with their arguments in other data- attributes), and clickable
+// cards carry the page they open in data-href; one listener handles both.
+
+const CLICK_ACTIONS = {
+    'toggle-compare': el => toggleCompare(el.dataset.compareId),
+    'remove-compare': el => removeFromCompare(el.dataset.bikeId),
+    'clear-compare': () => saveCompareList([]),
+    'toggle-garage': el => toggleGarageList(el.dataset.bikeId, el.dataset.list),
+    'remove-garage': el => removeFromGarage(el.dataset.bikeId),
+    'admin-edit': el => editAdminBike(el.dataset.bikeId),
+    'export-top-list': el => exportTopList(el.dataset.list, el.dataset.format),
+    'scroll-to': el => scrollToSection(el.dataset.target),
+    'retry-load': () => retryPageLoad(),
+    'reload': () => window.location.reload()
+};
+
+/**
+ * Handles clicks on [data-action] elements and [data-href] cards for the whole page.
+ * An action inside a card (e.g. its compare button) doesn't also open the card.
+ */
+function initClickActions() {
+    document.addEventListener('click', (e) => {
+        if (!(e.target instanceof Element)) return;
+        const actionElement = e.target.closest('[data-action]');
+        if (actionElement && CLICK_ACTIONS[actionElement.dataset.action]) {
+            e.preventDefault();
+            CLICK_ACTIONS[actionElement.dataset.action](actionElement);
+            return;
+        }
+        const card = e.target.closest('[data-href]');
+        if (card && !e.target.closest('a, button, input, select, label')) {
+            window.location.href = card.dataset.href;
+        }
+    });
+}
+
 // --- UTILITY FUNCTIONS ---
 
 /**
- * Formats a number as Indian Rupees (₹). Handles null/undefined values.
- * @param {number | null} price The price to format.
+ * Formats a price stored in Indian Rupees in the user's chosen currency
+ * (₹ with en-IN grouping by default). Handles null/undefined values.
+ * @param {number | null} price The price to format, in INR.
+ * @param {string} [currency] Currency code from SITE_CONFIG; defaults to the user's choice.
  * @returns {string} The formatted price string or 'Price not available'.
  */
-function formatPrice(price) {
+function formatPrice(price, currency = preferences.currency) {
     if (price === null || price === undefined) {
         return 'Price not available';
     }
-    return '₹' + price.toLocaleString('en-IN');
+    const { rates, locales } = SITE_CONFIG.currency;
+    return new Intl.NumberFormat(locales[currency] || 'en-IN', {
+        style: 'currency',
+        currency,
+        maximumFractionDigits: 0
+    }).format(price * rates[currency]);
 }
 
 /**
@@ -28,6 +182,42 @@ function formatSpec(value, suffix = '') {
     return `${value}${suffix}`;
 }
 
+/**
+ * Lists the structured details of a bike's status for display,
+ * e.g. ['23 units built', 'Built 1991–1993', 'Banned in: UK'].
+ * @param {object} bike The bike data object.
+ * @returns {Array<string>} The detail lines (empty if there is nothing to add).
+ */
+function describeStatus(bike) {
+    const info = parseStatus(bike);
+    const details = [];
+    if (info.units !== null) {
+        details.push(`${info.units.toLocaleString('en-IN')} units built`);
+    }
+    if (info.endYear !== null) {
+        details.push(info.startYear !== null && info.startYear !== info.endYear
+            ? `Built ${info.startYear}–${info.endYear}`
+            : `Built until ${info.endYear}`);
+    } else if (info.category === 'in-production' && info.startYear !== null) {
+        details.push(`In production since ${info.startYear}`);
+    }
+    if (info.bannedIn.length > 0) {
+        details.push(`Banned in: ${info.bannedIn.join(', ')}`);
+    }
+    return details;
+}
+
+/**
+ * Lists the status categories a bike belongs to: its own category, plus
+ * "banned" if it is banned in at least one market.
+ * @param {object} bike The bike data object.
+ * @returns {Array<string>} Keys of STATUS_CATEGORIES (or custom status slugs).
+ */
+function statusCategories(bike) {
+    const info = parseStatus(bike);
+    return info.bannedIn.length > 0 && info.category !== 'banned' ? [info.category, 'banned'] : [info.category];
+}
+
 /**
  * Scrolls to a specific section on the page.
  * @param {string} sectionId The ID of the element to scroll to.
@@ -39,443 +229,3986 @@ function scrollToSection(sectionId) {
     }
 }
 
+// --- UNITS & CURRENCY ---
+
+// Display units per unit system. Specs are stored in metric; `factor` converts
+// the stored value, and converted values are rounded to `decimals`.
+const UNIT_SYSTEMS = {
+    metric: {
+        speed: { unit: ' km/h', factor: 1 },
+        mileage: { unit: ' km/l', factor: 1 },
+        weight: { unit: ' kg', factor: 1 },
+        torque: { unit: ' Nm', factor: 1 },
+        power_to_weight: { unit: ' HP/tonne', factor: 1 },
+        torque_to_weight: { unit: ' Nm/tonne', factor: 1 }
+    },
+    imperial: {
+        speed: { unit: ' mph', factor: 0.621371, decimals: 0 },
+        mileage: { unit: ' mpg', factor: 2.35215, decimals: 0 },
+        weight: { unit: ' lb', factor: 2.20462, decimals: 0 },
+        torque: { unit: ' lb-ft', factor: 0.737562, decimals: 0 },
+        // Per US ton (2,000 lb)
+        power_to_weight: { unit: ' HP/ton', factor: 0.907185 },
+        torque_to_weight: { unit: ' lb-ft/ton', factor: 0.737562 * 0.907185 }
+    }
+};
+
+// localStorage key holding the user's units and currency choice
+const PREFERENCES_STORAGE_KEY = 'motoEncyclo.preferences';
+
+const DEFAULT_PREFERENCES = {
+    units: 'metric',
+    currency: SITE_CONFIG.currency.base
+};
+
+let preferences = loadPreferences();
+
+/**
+ * Reads the units/currency preference from localStorage, ignoring values
+ * that no longer exist (e.g. a currency removed from config.js).
+ * @returns {{units: string, currency: string}} The preferences.
+ */
+function loadPreferences() {
+    let stored = {};
+    try {
+        stored = JSON.parse(localStorage.getItem(PREFERENCES_STORAGE_KEY)) || {};
+    } catch (error) {
+        // Storage unavailable or corrupted: use the defaults
+    }
+    return {
+        units: stored.units in UNIT_SYSTEMS ? stored.units : DEFAULT_PREFERENCES.units,
+        currency: stored.currency in SITE_CONFIG.currency.rates ? stored.currency : DEFAULT_PREFERENCES.currency
+    };
+}
+
+/**
+ * Saves a preference change and reloads the page so everything is redrawn in the new units.
+ * @param {object} changes e.g. { units: 'imperial' }.
+ */
+function savePreferences(changes) {
+    preferences = { ...preferences, ...changes };
+    try {
+        localStorage.setItem(PREFERENCES_STORAGE_KEY, JSON.stringify(preferences));
+    } catch (error) {
+        console.error('Could not save preferences:', error);
+    }
+    window.location.reload();
+}
+
+/**
+ * Returns the display unit and conversion factor for a quantity under the
+ * user's preferences. 'price' converts rupees to the chosen currency.
+ * @param {string} quantity 'price' or a key of the UNIT_SYSTEMS entries.
+ * @returns {{unit: string, factor: number, decimals: (number|undefined)}} The unit.
+ */
+function getDisplayUnit(quantity) {
+    if (quantity === 'price') {
+        return { unit: ` ${preferences.currency}`, factor: SITE_CONFIG.currency.rates[preferences.currency], decimals: 0 };
+    }
+    return UNIT_SYSTEMS[preferences.units][quantity];
+}
+
+/**
+ * Formats a metric spec in the user's unit system, returning 'N/A' if the value is null.
+ * @param {number | null} value The stored (metric) value.
+ * @param {string} quantity A key of the UNIT_SYSTEMS entries, e.g. 'speed'.
+ * @returns {string} The formatted value, e.g. '186 mph'.
+ */
+function formatMeasure(value, quantity) {
+    if (value === null || value === undefined) {
+        return 'N/A';
+    }
+    const { unit, factor, decimals } = getDisplayUnit(quantity);
+    const converted = value * factor;
+    return formatSpec(decimals === undefined ? converted : Number(converted.toFixed(decimals)), unit);
+}
+
+/**
+ * Wires up the units and currency switchers in the nav bar.
+ */
+function initPreferenceControls() {
+    const unitsSelect = document.getElementById('units-select');
+    const currencySelect = document.getElementById('currency-select');
+    if (!unitsSelect || !currencySelect) return;
+
+    currencySelect.innerHTML = html`${Object.keys(SITE_CONFIG.currency.rates)
+        .map(code => html`<option value="${code}">${code}</option>`)}`;
+    currencySelect.title = `Converted at fixed rates as of ${SITE_CONFIG.currency.ratesAsOf}`;
+    unitsSelect.value = preferences.units;
+    currencySelect.value = preferences.currency;
+
+    unitsSelect.addEventListener('change', (e) => savePreferences({ units: e.target.value }));
+    currencySelect.addEventListener('change', (e) => savePreferences({ currency: e.target.value }));
+}
+
+// --- DERIVED METRICS ---
+
+/**
+ * Figures computed from the raw specs. Each metric returns null when an input
+ * is missing (or would divide by zero, like cc on an electric bike), and
+ * `requires` explains which inputs that is for the N/A tooltip. `better` says
+ * which direction wins when bikes are compared. Metrics with a `quantity` are
+ * shown in the user's unit system (see UNIT_SYSTEMS); values are always computed in metric.
+ * Metrics with `currency` are amounts in rupees, shown like prices: in the user's
+ * currency, grouped the way its locale does (see formatPrice()).
+ */
+const DERIVED_METRICS = {
+    power_to_weight: {
+        label: 'Power-to-Weight',
+        quantity: 'power_to_weight',
+        better: 'higher',
+        decimals: 0,
+        requires: 'horsepower and weight',
+        compute: specs => specs.horsepower !== null && specs.weight ? specs.horsepower / specs.weight * 1000 : null
+    },
+    torque_to_weight: {
+        label: 'Torque-to-Weight',
+        quantity: 'torque_to_weight',
+        better: 'higher',
+        decimals: 0,
+        requires: 'torque and weight',
+        compute: specs => specs.torque !== null && specs.weight ? specs.torque / specs.weight * 1000 : null
+    },
+    hp_per_litre: {
+        label: 'Specific Output',
+        unit: ' HP/litre',
+        factor: 1,
+        better: 'higher',
+        decimals: 1,
+        requires: 'horsepower and a combustion engine displacement',
+        compute: specs => specs.horsepower !== null && specs.cc ? specs.horsepower / specs.cc * 1000 : null
+    },
+    price_per_hp: {
+        label: 'Price per HP',
+        better: 'lower',
+        decimals: 0,
+        requires: 'price and horsepower',
+        currency: true,
+        compute: specs => specs.price_original_inr !== null && specs.horsepower ? specs.price_original_inr / specs.horsepower : null
+    }
+};
+
+/**
+ * Computes a derived metric for a bike.
+ * @param {object} bike The bike data object.
+ * @param {string} key A key of DERIVED_METRICS.
+ * @returns {number | null} The metric, or null if an input is missing.
+ */
+function getMetric(bike, key) {
+    const value = DERIVED_METRICS[key].compute(bike.specs);
+    return value === null || !Number.isFinite(value) ? null : value;
+}
+
+/**
+ * Formats a derived metric for display, returning 'N/A' if it can't be computed.
+ * @param {object} bike The bike data object.
+ * @param {string} key A key of DERIVED_METRICS.
+ * @returns {string} The formatted value, e.g. '1,034 HP/tonne', '938 HP/ton' or '$1,200' (price per HP).
+ */
+function formatMetric(bike, key) {
+    const metric = DERIVED_METRICS[key];
+    const value = getMetric(bike, key);
+    if (value === null) {
+        return 'N/A';
+    }
+    if (metric.currency) {
+        return formatPrice(value);
+    }
+    const { unit, factor } = metric.quantity ? getDisplayUnit(metric.quantity) : metric;
+    return formatSpec(Number((value * factor).toFixed(metric.decimals)).toLocaleString('en-IN'), unit);
+}
+
+/**
+ * Returns the tooltip explaining why a metric is N/A for a bike, or '' if it has a value.
+ * @param {object} bike The bike data object.
+ * @param {string} key A key of DERIVED_METRICS.
+ * @returns {string} The explanation.
+ */
+function metricUnavailableReason(bike, key) {
+    return getMetric(bike, key) === null ? `Needs ${DERIVED_METRICS[key].requires}` : '';
+}
+
+/**
+ * Reads a numeric value for ranking: a raw spec (e.g. 'horsepower') or a derived metric key.
+ * @param {object} bike The bike data object.
+ * @param {string} key A spec key or a key of DERIVED_METRICS.
+ * @returns {number | null} The value, or null if unknown.
+ */
+function getSortValue(bike, key) {
+    if (key in DERIVED_METRICS) {
+        return getMetric(bike, key);
+    }
+    return bike.specs[key] ?? null;
+}
+
 // --- DATA LOADING ---
 
 /**
  * Loads the motorcycle database from JSON.
  * This is the most critical change: It fetches the object of arrays and flattens it 
  * into a single array that the rest of the script expects.
- * It also caches the result to prevent re-fetching on the same session.
- * @returns {Promise<Array>} A promise that resolves to the array of all motorcycles.
+ * Records are checked against the schema in schema.js; records with errors are
+ * dropped so one bad entry can't break sorting on a page, and all violations are
+ * kept in `databaseIssues` and logged to the console.
+ * It also caches the result to prevent re-fetching on the same session, and
+ * callers that ask while a fetch is in flight share it. A failed load isn't
+ * cached, so calling it again retries.
+ * @returns {Promise<Array>} A promise that resolves to the array of all motorcycles,
+ *   or rejects if database.json can't be fetched, parsed or has no valid records.
  */
 async function loadDatabase() {
     if (motorcycles.length > 0) {
         return motorcycles; // Return cached data if already loaded
     }
+    if (!databaseRequest) {
+        databaseRequest = fetchDatabase().finally(() => { databaseRequest = null; });
+    }
+    return databaseRequest;
+}
+
+async function fetchDatabase() {
     try {
         const response = await fetch('database.json');
-        const dataByBrand = await response.json(); // This is the object: { "Adly": [...], "Aeon": [...] }
+        if (!response.ok) {
+            throw new Error(`database.json could not be fetched (HTTP ${response.status})`);
+        }
+        let dataByBrand; // This is the object: { "Adly": [...], "Aeon": [...] }
+        try {
+            dataByBrand = await response.json();
+        } catch (error) {
+            throw new Error(`database.json is not valid JSON (${error.message})`);
+        }
         
-        // ** THE KEY CORRECTION IS HERE **
-        // We flatten the object's values (which are arrays of bikes) into one single array.
-        motorcycles = Object.values(dataByBrand).flat();
+        // validateDatabase() flattens the object's values (which are arrays of bikes)
+        // into one single array, leaving out any record that fails the schema.
+        const { bikes, violations } = validateDatabase(dataByBrand);
+        databaseIssues = violations;
+        reportDatabaseIssues(violations);
+        if (bikes.length === 0) {
+            throw new Error('database.json contains no valid motorcycle records');
+        }
+        motorcycles = bikes;
         
         return motorcycles;
     } catch (error) {
         console.error('Error loading database:', error);
-        return []; // Return an empty array on failure
+        throw error;
     }
 }
 
-// --- COMPONENT FACTORY ---
+/**
+ * Logs schema violations from a data file to the console, grouped by severity.
+ * @param {Array<object>} violations The violations returned by validateDatabase() or validateBrands().
+ * @param {string} [file] The file they were found in.
+ */
+function reportDatabaseIssues(violations, file = 'database.json') {
+    const errors = violations.filter(v => v.severity === 'error');
+    const warnings = violations.filter(v => v.severity === 'warning');
+    if (errors.length > 0) {
+        console.error(`${file}: ${errors.length} schema errors, affected records were skipped:\n` +
+            errors.map(formatViolation).join('\n'));
+    }
+    if (warnings.length > 0) {
+        console.warn(`${file}: ${warnings.length} schema warnings:\n` +
+            warnings.map(formatViolation).join('\n'));
+    }
+}
 
 /**
- * Creates the HTML for a single bike card.
- * @param {object} bike The bike data object.
- * @returns {string} The HTML string for the bike card.
+ * Loads the brand metadata from brands.json, checked against the schema in
+ * schema.js. Call it after loadDatabase(). The metadata is optional: if the
+ * file can't be loaded the brand pages show what the bikes alone can tell, so
+ * this never rejects.
+ * @returns {Promise<Object<string, object>>} Brand name -> metadata ({} on failure).
  */
-function createBikeCard(bike) {
-    // Handle cases where price might be null
-    const priceDisplay = bike.specs.price_original_inr !== null ? formatPrice(bike.specs.price_original_inr) : '<div class="price-unavailable">Price not available</div>';
+async function loadBrandMetadata() {
+    if (brandMetadata) return brandMetadata;
+    try {
+        const response = await fetch('brands.json');
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const { brands, violations } = validateBrands(await response.json(), motorcycles);
+        reportDatabaseIssues(violations, 'brands.json');
+        brandMetadata = brands;
+    } catch (error) {
+        console.warn('brands.json could not be loaded, brand details are unavailable:', error.message);
+        brandMetadata = {};
+    }
+    return brandMetadata;
+}
 
-    return `
-        <div class="bike-card" onclick="window.location.href='bike.html?id=${bike.id}'">
-            <img src="${bike.imageURL}" alt="${bike.brand} ${bike.model}" loading="lazy">
-            <div class="bike-card-content">
-                <h3>${bike.model}</h3>
-                <div class="brand">${bike.brand} • ${bike.year} • ${bike.specs.cc}cc</div>
-                <div class="bike-tags">
-                    ${bike.tags.slice(0, 2).map(tag => `<span class="tag">${tag}</span>`).join('')}
+/**
+ * Looks up a brand's metadata.
+ * @param {string} brand The brand name, as in `bike.brand`.
+ * @returns {{country: (string|null), founded: (number|null), parent: (string|null),
+ *   logoURL: (string|null)}} The metadata, with nulls for anything unknown.
+ */
+function getBrandInfo(brand) {
+    const info = (brandMetadata && Object.hasOwn(brandMetadata, brand)) ? brandMetadata[brand] : {};
+    return {
+        country: info.country ?? null,
+        founded: info.founded ?? null,
+        parent: info.parent ?? null,
+        logoURL: info.logoURL ?? null
+    };
+}
+
+// --- LOADING & ERROR STATES ---
+
+// The loader of the current page, run again by the Retry button.
+let pageLoader = null;
+
+/**
+ * Returns placeholder markup shown while the database loads.
+ * @param {string} kind 'cards', 'brands', 'detail', 'list', 'table', 'chart' or 'none'.
+ * @returns {SafeHTML} The markup for the skeleton.
+ */
+function renderSkeleton(kind) {
+    const line = (width) => html`<div class="skeleton skeleton-line" style="width: ${width}%;"></div>`;
+    const repeat = (count, markup) => html`${Array(count).fill(markup)}`;
+
+    switch (kind) {
+        case 'cards':
+            return repeat(6, html`
+                <div class="bike-card skeleton-card">
+                    <div class="skeleton skeleton-image"></div>
+                    <div class="bike-card-content">${line(70)}${line(45)}${line(90)}${line(35)}</div>
                 </div>
-                <div class="bike-specs">
-                    <div class="spec-item">
-                        <span class="spec-label">Power:</span>
-                        <span>${formatSpec(bike.specs.horsepower, ' HP')}</span>
-                    </div>
-                    <div class="spec-item">
-                        <span class="spec-label">Top Speed:</span>
-                        <span>${formatSpec(bike.specs.top_speed, ' km/h')}</span>
-                    </div>
+            `);
+        case 'brands':
+            return repeat(12, html`<div class="brand-card skeleton-card">${line(60)}${line(40)}</div>`);
+        case 'detail':
+            return html`
+                <div class="detail-header">
+                    <div class="skeleton skeleton-image detail-image"></div>
+                    <div class="detail-info">${line(60)}${line(30)}${line(95)}${line(90)}${line(80)}${line(40)}</div>
                 </div>
-                <div class="price">${priceDisplay}</div>
-            </div>
+            `;
+        case 'list':
+            return html`<div class="ranked-list">${repeat(5, html`<div class="ranked-item skeleton-card">${line(40)}</div>`)}</div>`;
+        case 'table':
+            return repeat(6, line(100));
+        case 'chart':
+            return html`<div class="skeleton skeleton-chart"></div>`;
+        default:
+            return html``;
+    }
+}
+
+/**
+ * Loads the database for a page loader. While it loads, the page's data
+ * containers show skeletons; if it fails, the first container shows the
+ * error with a Retry button (which runs `loader` again) and the rest are emptied.
+ * @param {Function} loader The page's load*Page() function.
+ * @param {object} containers Element ids mapped to the skeleton kind to show in them.
+ * @returns {Promise<boolean>} true if the data is ready, false if the page shows an error.
+ */
+async function loadPageData(loader, containers) {
+    pageLoader = loader;
+    const elements = Object.entries(containers)
+        .map(([id, kind]) => [document.getElementById(id), kind])
+        .filter(([element]) => element);
+
+    if (motorcycles.length === 0) {
+        elements.forEach(([element, kind]) => {
+            element.innerHTML = renderSkeleton(kind);
+            element.setAttribute('aria-busy', 'true');
+        });
+    }
+
+    try {
+        await loadDatabase();
+        return true;
+    } catch (error) {
+        elements.forEach(([element], i) => {
+            element.innerHTML = i === 0 ? renderLoadError(error) : '';
+        });
+        return false;
+    } finally {
+        elements.forEach(([element]) => element.removeAttribute('aria-busy'));
+    }
+}
+
+/**
+ * Creates the error box shown when the database fails to load.
+ * @param {Error} error The load error.
+ * @returns {SafeHTML} The markup for the error box.
+ */
+function renderLoadError(error) {
+    const hint = navigator.onLine === false
+        ? 'You appear to be offline, and no saved copy of the data is available yet.'
+        : 'The data file may be missing or damaged, or the server may be unavailable.';
+    return html`
+        <div class="load-error" role="alert">
+            <h3>Couldn't load the motorcycle database</h3>
+            <p>${hint}</p>
+            <p class="load-error-detail">${error.message}</p>
+            <button type="button" class="btn" data-action="retry-load">Retry</button>
         </div>
     `;
 }
 
-// --- HOMEPAGE FUNCTIONS ---
+/**
+ * Runs the current page's loader again after a failed load.
+ */
+async function retryPageLoad() {
+    if (!pageLoader) return;
+    await pageLoader();
+    renderCompareTray(); // The tray gave up when the first load failed
+}
 
-async function loadHomePage() {
-    await loadDatabase();
-    
-    // Update stats (with checks for null values)
-    const totalBikes = motorcycles.length;
-    const brands = [...new Set(motorcycles.map(m => m.brand))];
-    document.getElementById('total-bikes').textContent = totalBikes;
-    document.getElementById('total-brands').textContent = brands.length;
+// Placeholder images for bikes whose photo is missing or fails to load,
+// chosen by the first matching tag. The brand name is drawn on top.
+const PLACEHOLDER_CATEGORIES = [
+    { label: 'Electric', icon: '⚡', color: '#2a9d8f', tags: ['Electric'] },
+    { label: 'Scooter', icon: '🛵', color: '#8e7dbe', tags: ['Scooter', 'Sport Scooter', 'Maxi-Scooter'] },
+    { label: 'Off-Road', icon: '⛰️', color: '#b07d3a', tags: ['Off-Road', 'Enduro', 'Motocross', 'Trials', 'Adventure', 'Dual Sport', 'Rally', 'Supermoto', 'Trail'] },
+    { label: 'Cruiser', icon: '🛣️', color: '#5c7aa3', tags: ['Cruiser', 'Chopper', 'Bobber', 'Bagger', 'Softail', 'Performance Cruiser', 'Power Cruiser'] },
+    { label: 'Sport', icon: '🏁', color: '#ff4444', tags: ['Superbike', 'Sportbike', 'Race Bike', 'Race Replica', 'GP Replica', 'Track Focused', 'Hyperbike'] },
+    { label: 'Touring', icon: '🧭', color: '#6a994e', tags: ['Touring', 'Sport Touring'] }
+];
+const DEFAULT_PLACEHOLDER_CATEGORY = { label: 'Motorcycle', icon: '🏍️', color: '#777' };
 
-    const bikesWithPower = motorcycles.filter(m => m.specs.horsepower !== null);
-    const avgPower = bikesWithPower.length > 0 
-        ? Math.round(bikesWithPower.reduce((sum, m) => sum + m.specs.horsepower, 0) / bikesWithPower.length)
-        : 0;
-    document.getElementById('avg-power').textContent = `${avgPower} HP`;
+/**
+ * Builds an SVG placeholder image showing the bike's brand and category.
+ * @param {object} bike The motorcycle object.
+ * @returns {string} A data: URL for the image.
+ */
+function placeholderImage(bike) {
+    const tags = bike.tags || [];
+    const category = PLACEHOLDER_CATEGORIES.find(c => c.tags.some(tag => tags.includes(tag))) || DEFAULT_PLACEHOLDER_CATEGORY;
+    const brand = escapeHTML(bike.brand || '');
+    const svg = `
+        <svg xmlns="http://www.w3.org/2000/svg" width="640" height="400" viewBox="0 0 640 400">
+            <rect width="640" height="400" fill="#1c1c1c"/>
+            <rect y="392" width="640" height="8" fill="${category.color}"/>
+            <text x="320" y="190" font-size="96" text-anchor="middle">${category.icon}</text>
+            <text x="320" y="270" font-family="sans-serif" font-size="36" font-weight="bold" fill="#eee" text-anchor="middle">${brand}</text>
+            <text x="320" y="315" font-family="sans-serif" font-size="22" fill="${category.color}" text-anchor="middle">${category.label}</text>
+        </svg>
+    `;
+    return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg.replace(/\s+/g, ' ').trim())}`;
+}
 
-    const bikesWithSpeed = motorcycles.filter(m => m.specs.top_speed !== null);
-    const maxSpeed = bikesWithSpeed.length > 0 
-        ? Math.max(...bikesWithSpeed.map(m => m.specs.top_speed))
-        : 0;
-    document.getElementById('top-speed-stat').textContent = `${maxSpeed} km/h`;
+/**
+ * Creates the <img> tag for a bike's photo. Bikes without a usable imageURL
+ * get their placeholder straight away; broken images are swapped for it by the
+ * listener in initImageFallbacks().
+ * @param {object} bike The motorcycle object.
+ * @param {object} [attributes] Extra attributes for the tag, e.g. { loading: 'lazy' }.
+ * @returns {SafeHTML} The markup for the image.
+ */
+function createBikeImage(bike, attributes = {}) {
+    const src = safeURL(bike.imageURL) || placeholderImage(bike);
+    const extra = Object.entries(attributes).map(([name, value]) => html` ${name}="${value}"`);
+    return html`<img src="${src}" alt="${bike.brand} ${bike.model}" data-bike-id="${bike.id}"${extra}>`;
+}
 
-    // --- MODIFIED SECTION STARTS HERE ---
+/**
+ * Replaces bike images that fail to load with their placeholder. Image errors
+ * don't bubble, so the listener runs in the capture phase.
+ */
+function initImageFallbacks() {
+    document.addEventListener('error', (e) => {
+        const img = e.target;
+        if (img.tagName !== 'IMG' || !img.dataset.bikeId || img.dataset.fallback) return;
+        const bike = motorcycles.find(m => m.id === img.dataset.bikeId) || { brand: '', tags: [] };
+        img.dataset.fallback = 'true';
+        img.src = placeholderImage(bike);
+    }, true);
+}
 
-    // Featured bikes (random 6 from those with an available price)
-    const featured = [...motorcycles]
-        .filter(bike => bike.specs.price_original_inr !== null) // 1. Filter for bikes with a price
-        .sort(() => 0.5 - Math.random())                       // 2. Shuffle the filtered list
-        .slice(0, 6);                                          // 3. Take the first 6
+// --- OFFLINE SUPPORT ---
 
-    document.getElementById('featured-bikes').innerHTML = featured.map(bike => createBikeCard(bike)).join('');
+// What the network banner should report. `stale` is set when the service
+// worker served database.json from its cache but couldn't refresh it;
+// `updated` when it fetched a newer database.json than the page is showing.
+const networkStatus = { offline: false, stale: false, updated: false };
 
-    // --- MODIFIED SECTION ENDS HERE ---
-}
+/**
+ * Shows, updates or hides the banner under the nav bar from `networkStatus`.
+ */
+function renderNetworkBanner() {
+    const banner = document.getElementById('network-banner');
+    if (!banner) return;
 
-// --- BRANDS PAGE FUNCTIONS ---
+    if (networkStatus.updated) {
+        banner.className = 'network-banner update';
+        banner.innerHTML = html`
+            A newer version of the motorcycle database is available.
+            <button type="button" class="btn btn-secondary" data-action="reload">Reload</button>
+        `;
+    } else if (networkStatus.offline || networkStatus.stale) {
+        banner.className = 'network-banner offline';
+        banner.textContent = networkStatus.offline
+            ? 'You\'re offline. Showing saved data, which may be out of date.'
+            : 'Couldn\'t reach the server. Showing saved data, which may be out of date.';
+    }
+    banner.hidden = !(networkStatus.updated || networkStatus.offline || networkStatus.stale);
+}
 
-async function loadBrandsPage() {
-    await loadDatabase();
-    
-    // This logic now works correctly because `motorcycles` is a flat array.
-    const brandsMap = {};
-    motorcycles.forEach(bike => {
-        if (!brandsMap[bike.brand]) {
-            brandsMap[bike.brand] = 0;
-        }
-        brandsMap[bike.brand]++;
-    });
+/**
+ * Registers the service worker (sw.js) and keeps the network banner in sync
+ * with the connection and with the messages the worker sends.
+ */
+function initOfflineSupport() {
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('sw.js')
+            .catch(error => console.warn('Service worker registration failed:', error));
+        navigator.serviceWorker.addEventListener('message', (e) => {
+            if (e.data?.type === 'database-updated') networkStatus.updated = true;
+            if (e.data?.type === 'database-stale') networkStatus.stale = true;
+            renderNetworkBanner();
+        });
+    }
 
-    const brands = Object.keys(brandsMap).sort();
-    
-    document.getElementById('brands-grid').innerHTML = brands.map(brand => `
-        <div class="brand-card" onclick="window.location.href='brand.html?brand=${encodeURIComponent(brand)}'">
-            <h3 class="chrome-text">${brand}</h3>
-            <p class="model-count">${brandsMap[brand]} Models</p>
-        </div>
-    `).join('');
+    const updateConnection = () => {
+        networkStatus.offline = navigator.onLine === false;
+        if (!networkStatus.offline) networkStatus.stale = false;
+        renderNetworkBanner();
+    };
+    window.addEventListener('online', updateConnection);
+    window.addEventListener('offline', updateConnection);
+    updateConnection();
 }
 
-// --- BIKES BROWSER PAGE FUNCTIONS ---
+// --- SEARCH ---
 
-let currentFilters = {
-    search: '',
-    brand: '',
-    status: '',
-    cc: '',
-    sort: 'brand'
+// How much a hit in each field counts towards a bike's relevance score
+const SEARCH_FIELD_WEIGHTS = {
+    model: 10,
+    brand: 8,
+    year: 6,
+    tags: 5,
+    engine: 4,
+    status: 3,
+    history: 1
 };
 
-async function loadBikesPage() {
-    await loadDatabase();
-    
-    const brands = [...new Set(motorcycles.map(m => m.brand))].sort();
-    document.getElementById('brand-filter').innerHTML = 
-        '<option value="">All Brands</option>' + 
-        brands.map(b => `<option value="${b}">${b}</option>`).join('');
+// Spelled-out numbers are indexed as digits so "two stroke" finds "2-Stroke"
+const SEARCH_NUMBER_WORDS = {
+    one: '1', two: '2', three: '3', four: '4', five: '5', six: '6',
+    seven: '7', eight: '8', nine: '9', ten: '10', twelve: '12'
+};
 
-    // Event listeners
-    document.getElementById('search-input').addEventListener('input', (e) => {
-        currentFilters.search = e.target.value.toLowerCase();
-        applyFilters();
-    });
-    document.getElementById('brand-filter').addEventListener('change', (e) => {
-        currentFilters.brand = e.target.value;
-        applyFilters();
-    });
-    document.getElementById('status-filter').addEventListener('change', (e) => {
-        currentFilters.status = e.target.value;
-        applyFilters();
-    });
-    document.getElementById('cc-filter').addEventListener('change', (e) => {
-        currentFilters.cc = e.target.value;
-        applyFilters();
+// Search index for the current `motorcycles` array, rebuilt when that array changes
+let searchIndex = null;
+
+/**
+ * Normalizes a single word for indexing and matching: lowercase, accents
+ * stripped, number words turned into digits.
+ * @param {string} word The word to normalize.
+ * @returns {string} The normalized token.
+ */
+function normalizeToken(word) {
+    const token = word.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    return SEARCH_NUMBER_WORDS[token] || token;
+}
+
+/**
+ * Splits text into normalized search tokens ("Liquid-cooled, V-twin" -> ['liquid', 'cooled', 'v', 'twin']).
+ * @param {string} text The text to tokenize.
+ * @returns {Array<string>} The tokens, in order.
+ */
+function tokenize(text) {
+    return String(text ?? '')
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .split(/[^A-Za-z0-9]+/)
+        .filter(Boolean)
+        .map(normalizeToken);
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent transpositions),
+ * giving up early once the distance is known to exceed `max`.
+ * @param {string} a First string.
+ * @param {string} b Second string.
+ * @param {number} max The largest distance we care about.
+ * @returns {number} The distance, or max + 1 if it is larger than max.
+ */
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let prevPrev = [];
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const row = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                row[j] = Math.min(row[j], prevPrev[j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, row[j]);
+        }
+        if (rowMin > max) return max + 1;
+        prevPrev = prev;
+        prev = row;
+    }
+    return prev[b.length];
+}
+
+/**
+ * Builds the search index: the token sequence of every searchable field of
+ * every bike, plus a vocabulary mapping each token to the bikes and fields it
+ * appears in.
+ * @param {Array<object>} bikes The bikes to index.
+ * @returns {{bikes: Array<object>, docs: Array<object>, vocabulary: Map<string, Array<object>>}} The index.
+ */
+function buildSearchIndex(bikes) {
+    const vocabulary = new Map();
+    const docs = bikes.map((bike, doc) => {
+        const fields = {
+            model: tokenize(bike.model),
+            brand: tokenize(bike.brand),
+            year: tokenize(bike.year),
+            tags: tokenize(bike.tags.join(' ')),
+            engine: tokenize(bike.specs.engine),
+            status: tokenize(parseStatus(bike).label),
+            history: tokenize(bike.history)
+        };
+        for (const [field, tokens] of Object.entries(fields)) {
+            new Set(tokens).forEach(token => {
+                if (!vocabulary.has(token)) vocabulary.set(token, []);
+                vocabulary.get(token).push({ doc, field });
+            });
+        }
+        return { bike, fields };
+    });
+    return { bikes, docs, vocabulary };
+}
+
+/**
+ * Returns the search index for a bikes array (the loaded motorcycles by
+ * default), building it on first use.
+ * @param {Array<object>} [bikes] The bikes to search.
+ * @returns {object} The index from buildSearchIndex().
+ */
+function getSearchIndex(bikes = motorcycles) {
+    if (!searchIndex || searchIndex.bikes !== bikes) {
+        searchIndex = buildSearchIndex(bikes);
+    }
+    return searchIndex;
+}
+
+/**
+ * Finds the indexed terms a query token matches, with a quality between 0 and 1:
+ * exact matches score 1, prefix matches (for live typing) 0.7, and typos 0.5
+ * (one edit) or 0.35 (two edits, only for long words). Numbers only match exactly.
+ * @param {string} token The normalized query token.
+ * @param {Map} vocabulary The index vocabulary.
+ * @returns {Array<{term: string, quality: number}>} The matching terms.
+ */
+function matchTerms(token, vocabulary) {
+    const matches = [];
+    const isNumber = /^\d+$/.test(token);
+    const maxEdits = isNumber ? 0 : token.length >= 8 ? 2 : token.length >= 4 ? 1 : 0;
+    for (const term of vocabulary.keys()) {
+        if (term === token) {
+            matches.push({ term, quality: 1 });
+        } else if (!isNumber && token.length >= 2 && term.startsWith(token)) {
+            matches.push({ term, quality: 0.7 });
+        } else if (maxEdits > 0) {
+            const distance = editDistance(token, term, maxEdits);
+            if (distance <= maxEdits) {
+                matches.push({ term, quality: distance === 1 ? 0.5 : 0.35 });
+            }
+        }
+    }
+    return matches;
+}
+
+/**
+ * Checks whether a sequence of tokens appears contiguously in another.
+ * @param {Array<string>} haystack The field's tokens.
+ * @param {Array<string>} needle The query's tokens.
+ * @returns {boolean} True if the phrase is present.
+ */
+function containsPhrase(haystack, needle) {
+    for (let i = 0; i + needle.length <= haystack.length; i++) {
+        if (needle.every((token, j) => haystack[i + j] === token)) return true;
+    }
+    return false;
+}
+
+/**
+ * Runs a full-text search over the loaded motorcycles. Every query word has to
+ * match somewhere (typos allowed); bikes are ranked by where the words matched,
+ * so a hit in the model name outranks one in the history text.
+ * @param {string} query The user's search text.
+ * @param {Array<object>} [bikes] The bikes to search (the loaded motorcycles by default).
+ * @returns {Array<{bike: object, score: number, terms: Set<string>}>} Matches, best first.
+ *   `terms` holds the indexed terms that matched, for highlighting.
+ */
+function searchBikes(query, bikes = motorcycles) {
+    const queryTokens = tokenize(query);
+    if (queryTokens.length === 0) return [];
+
+    const index = getSearchIndex(bikes);
+    const scores = new Map();
+    const matchedTerms = new Map();
+    const tokenHits = new Map();
+
+    queryTokens.forEach((token, position) => {
+        const best = new Map();
+        for (const { term, quality } of matchTerms(token, index.vocabulary)) {
+            for (const { doc, field } of index.vocabulary.get(term)) {
+                const score = SEARCH_FIELD_WEIGHTS[field] * quality;
+                if (score > (best.get(doc) ?? 0)) best.set(doc, score);
+                if (!matchedTerms.has(doc)) matchedTerms.set(doc, new Set());
+                matchedTerms.get(doc).add(term);
+            }
+        }
+        best.forEach((score, doc) => {
+            scores.set(doc, (scores.get(doc) ?? 0) + score);
+            if (!tokenHits.has(doc)) tokenHits.set(doc, new Set());
+            tokenHits.get(doc).add(position);
+        });
+    });
+
+    const results = [];
+    scores.forEach((score, doc) => {
+        if (tokenHits.get(doc).size < queryTokens.length) return;
+        const { bike, fields } = index.docs[doc];
+        // Reward the words appearing together as typed, e.g. "liquid cooled twin"
+        if (queryTokens.length > 1) {
+            for (const [field, tokens] of Object.entries(fields)) {
+                if (containsPhrase(tokens, queryTokens)) score += SEARCH_FIELD_WEIGHTS[field];
+            }
+        }
+        results.push({ bike, score, terms: matchedTerms.get(doc) });
+    });
+
+    return results.sort((a, b) => b.score - a.score ||
+        a.bike.brand.localeCompare(b.bike.brand) || a.bike.model.localeCompare(b.bike.model));
+}
+
+/**
+ * Wraps the words of a text that match search terms in <mark> tags.
+ * @param {string} text The text to highlight.
+ * @param {Set<string>} terms Normalized terms to highlight.
+ * @returns {SafeHTML} The escaped text with matches marked.
+ */
+function highlightText(text, terms) {
+    const value = String(text ?? '');
+    if (!terms || terms.size === 0) return html`${value}`;
+    return html`${value.split(/([A-Za-z0-9\u00C0-\u024F]+)/).map(part =>
+        part && terms.has(tokenize(part).join('')) ? html`<mark>${part}</mark>` : part
+    )}`;
+}
+
+/**
+ * Picks a short excerpt of a bike's tags, engine or history that contains a
+ * search hit, so a card can show why it matched when the hit isn't in the title.
+ * @param {object} bike The bike data object.
+ * @param {Set<string>} terms Normalized terms that matched.
+ * @returns {SafeHTML|string} The highlighted excerpt, or '' if the hit is in the model/brand.
+ */
+function searchSnippet(bike, terms) {
+    const titleTokens = tokenize(`${bike.model} ${bike.brand} ${bike.year}`);
+    if (titleTokens.some(token => terms.has(token))) return '';
+
+    const sources = [bike.tags.join(', '), bike.specs.engine, bike.history];
+    for (const text of sources) {
+        const words = text.split(/\s+/);
+        const hit = words.findIndex(word => tokenize(word).some(token => terms.has(token)));
+        if (hit === -1) continue;
+        const start = Math.max(0, hit - 6);
+        const end = Math.min(words.length, hit + 8);
+        const excerpt = words.slice(start, end).join(' ');
+        return html`${start > 0 && '…'}${highlightText(excerpt, terms)}${end < words.length && '…'}`;
+    }
+    return '';
+}
+
+/**
+ * Wires up the search box in the nav bar: live suggestions while typing,
+ * and Enter goes to the full results on bikes.html?q=...
+ */
+function initGlobalSearch() {
+    const input = document.getElementById('global-search');
+    const results = document.getElementById('global-search-results');
+    if (!input || !results) return;
+
+    input.addEventListener('input', async () => {
+        const query = input.value.trim();
+        if (!query) {
+            results.innerHTML = '';
+            return;
+        }
+        try {
+            await loadDatabase();
+        } catch (error) {
+            results.innerHTML = html`<div class="search-suggestion empty">Search is unavailable right now</div>`;
+            return;
+        }
+        const matches = searchBikes(query).slice(0, 6);
+        results.innerHTML = matches.length > 0
+            ? html`${matches.map(({ bike, terms }) => html`
+                <a href="bike.html?id=${encodeURIComponent(bike.id)}" class="search-suggestion">
+                    <strong>${highlightText(bike.model, terms)}</strong>
+                    <span>${highlightText(bike.brand, terms)} • ${bike.year}</span>
+                </a>
+            `)}<a href="bikes.html?q=${encodeURIComponent(query)}" class="search-suggestion see-all">See all results</a>`
+            : html`<div class="search-suggestion empty">No matches</div>`;
+    });
+
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            input.value = '';
+            results.innerHTML = '';
+        }
+    });
+}
+
+// --- COMPONENT FACTORY ---
+
+/**
+ * Creates the HTML for a single bike card.
+ * @param {object} bike The bike data object.
+ * @param {Set<string>} [searchTerms] Matched search terms to highlight on the card.
+ * @param {string} [note] A line shown under the brand, e.g. why the bike is recommended.
+ * @returns {SafeHTML} The markup for the bike card.
+ */
+function createBikeCard(bike, searchTerms = null, note = '') {
+    // Handle cases where price might be null
+    const priceDisplay = bike.specs.price_original_inr !== null ? formatPrice(bike.specs.price_original_inr) : html`<div class="price-unavailable">Price not available</div>`;
+    const snippet = searchTerms ? searchSnippet(bike, searchTerms) : '';
+
+    return html`
+        <div class="bike-card" data-href="bike.html?id=${encodeURIComponent(bike.id)}">
+            ${createBikeImage(bike, { loading: 'lazy' })}
+            <div class="bike-card-content">
+                <h3>${highlightText(bike.model, searchTerms)}</h3>
+                <div class="brand">${highlightText(bike.brand, searchTerms)} • ${highlightText(bike.year, searchTerms)} • ${bike.specs.cc}cc</div>
+                ${snippet && html`<div class="search-match">${snippet}</div>`}
+                ${createGarageBadges(bike.id)}
+                ${note && html`<div class="card-note">${note}</div>`}
+                <div class="bike-tags">
+                    ${bike.tags.slice(0, 2).map(tag => html`<span class="tag">${tag}</span>`)}
+                </div>
+                <div class="bike-specs">
+                    <div class="spec-item">
+                        <span class="spec-label">Power:</span>
+                        <span>${formatSpec(bike.specs.horsepower, ' HP')}</span>
+                    </div>
+                    <div class="spec-item">
+                        <span class="spec-label">Top Speed:</span>
+                        <span>${formatMeasure(bike.specs.top_speed, 'speed')}</span>
+                    </div>
+                </div>
+                <div class="price">${priceDisplay}</div>
+                ${createCompareButton(bike.id)}
+            </div>
+        </div>
+    `;
+}
+
+// --- EXPORT ---
+
+// Columns of an exported bike, in order. Values are raw (numbers stay numbers,
+// prices are plain rupees), so the files load cleanly into a spreadsheet. Every
+// field a record needs is included, so tools/merge-csv.js can read an edited
+// export back as new bikes.
+const EXPORT_COLUMNS = [
+    { key: 'id', get: bike => bike.id },
+    { key: 'brand', get: bike => bike.brand },
+    { key: 'model', get: bike => bike.model },
+    { key: 'year', get: bike => bike.year },
+    { key: 'status', get: bike => parseStatus(bike).label },
+    { key: 'units_built', get: bike => parseStatus(bike).units },
+    { key: 'engine', get: bike => bike.specs.engine },
+    { key: 'cc', get: bike => bike.specs.cc },
+    { key: 'horsepower', get: bike => bike.specs.horsepower },
+    { key: 'torque_nm', get: bike => bike.specs.torque },
+    { key: 'top_speed_kmh', get: bike => bike.specs.top_speed },
+    { key: 'mileage_kmpl', get: bike => bike.specs.mileage_kmpl },
+    { key: 'weight_kg', get: bike => bike.specs.weight },
+    { key: 'price_inr', get: bike => bike.specs.price_original_inr },
+    ...Object.keys(DERIVED_METRICS).map(key => ({
+        key,
+        get: bike => {
+            const value = getMetric(bike, key);
+            return value === null ? null : Number(value.toFixed(2));
+        }
+    })),
+    { key: 'tags', get: bike => bike.tags },
+    { key: 'color_variants', get: bike => bike.color_variants },
+    { key: 'image_url', get: bike => bike.imageURL },
+    { key: 'history', get: bike => bike.history }
+];
+
+/**
+ * Flattens a bike into an export record keyed by EXPORT_COLUMNS.
+ * @param {object} bike The bike data object.
+ * @param {object} extra Columns to put first, e.g. { rank: 1 }.
+ * @returns {object} The record.
+ */
+function toExportRecord(bike, extra = {}) {
+    const record = { ...extra };
+    EXPORT_COLUMNS.forEach(column => { record[column.key] = column.get(bike); });
+    return record;
+}
+
+/**
+ * Quotes a value for CSV when it contains a comma, quote or line break.
+ * Nulls become empty cells and arrays are joined with '; '. Text that a
+ * spreadsheet would run as a formula (starting with =, +, -, @, a tab or a
+ * carriage return) gets a leading apostrophe, so it opens as plain text.
+ * @param {any} value The value.
+ * @returns {string} The CSV cell.
+ */
+function toCSVCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = Array.isArray(value) ? value.join('; ') : String(value);
+    if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serializes export records as CSV, with a header row taken from the first record.
+ * @param {Array<object>} records The records.
+ * @returns {string} The CSV text.
+ */
+function toCSV(records) {
+    if (records.length === 0) return '';
+    const columns = Object.keys(records[0]);
+    return [columns, ...records.map(record => columns.map(column => record[column]))]
+        .map(row => row.map(toCSVCell).join(','))
+        .join('\r\n');
+}
+
+/**
+ * Saves text as a file download.
+ * @param {string} filename The file name.
+ * @param {string} content The file contents.
+ * @param {string} mimeType The MIME type.
+ */
+function downloadFile(filename, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Revoking straight after click() can cancel the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Exports bikes as a CSV or JSON download.
+ * @param {Array<object>} bikes The bikes, in the order to export.
+ * @param {string} format 'csv' or 'json'.
+ * @param {string} name Base file name; the date and extension are appended.
+ * @param {function} [extra] Returns leading columns for a bike and its index, e.g. its rank.
+ */
+function exportBikes(bikes, format, name, extra = () => ({})) {
+    const records = bikes.map((bike, index) => toExportRecord(bike, extra(bike, index)));
+    const filename = `${name}-${new Date().toISOString().slice(0, 10)}.${format}`;
+    if (format === 'json') {
+        downloadFile(filename, JSON.stringify(records, null, 2), 'application/json');
+    } else {
+        // The BOM makes Excel read the file as UTF-8 (brand names like Dürkopp)
+        downloadFile(filename, '\uFEFF' + toCSV(records), 'text/csv;charset=utf-8');
+    }
+}
+
+// --- HOMEPAGE FUNCTIONS ---
+
+async function loadHomePage() {
+    const loaded = await loadPageData(loadHomePage, {
+        'featured-bikes': 'cards',
+        'total-bikes': 'none',
+        'total-brands': 'none',
+        'avg-power': 'none',
+        'top-speed-stat': 'none'
+    });
+    if (!loaded) return;
+    
+    // Update stats (with checks for null values)
+    const totalBikes = motorcycles.length;
+    const brands = [...new Set(motorcycles.map(m => m.brand))];
+    document.getElementById('total-bikes').textContent = totalBikes;
+    document.getElementById('total-brands').textContent = brands.length;
+
+    const bikesWithPower = motorcycles.filter(m => m.specs.horsepower !== null);
+    const avgPower = bikesWithPower.length > 0 
+        ? Math.round(bikesWithPower.reduce((sum, m) => sum + m.specs.horsepower, 0) / bikesWithPower.length)
+        : 0;
+    document.getElementById('avg-power').textContent = `${avgPower} HP`;
+
+    const bikesWithSpeed = motorcycles.filter(m => m.specs.top_speed !== null);
+    const maxSpeed = bikesWithSpeed.length > 0 
+        ? Math.max(...bikesWithSpeed.map(m => m.specs.top_speed))
+        : 0;
+    document.getElementById('top-speed-stat').textContent = formatMeasure(maxSpeed, 'speed');
+
+    // --- MODIFIED SECTION STARTS HERE ---
+
+    // Featured bikes (random 6 from those with an available price)
+    const featured = [...motorcycles]
+        .filter(bike => bike.specs.price_original_inr !== null) // 1. Filter for bikes with a price
+        .sort(() => 0.5 - Math.random())                       // 2. Shuffle the filtered list
+        .slice(0, 6);                                          // 3. Take the first 6
+
+    document.getElementById('featured-bikes').innerHTML = html`${featured.map(bike => createBikeCard(bike))}`;
+
+    // --- MODIFIED SECTION ENDS HERE ---
+}
+
+// --- BRANDS PAGE FUNCTIONS ---
+
+// Orderings for the brands list (brands.html ?sort=)
+const BRAND_SORTS = {
+    name: (a, b) => a.brand.localeCompare(b.brand),
+    count: (a, b) => b.count - a.count || a.brand.localeCompare(b.brand)
+};
+
+// Label of the group for brands whose country isn't in brands.json
+const UNKNOWN_COUNTRY = 'Unknown Country';
+
+async function loadBrandsPage() {
+    if (!await loadPageData(loadBrandsPage, { 'brands-grid': 'brands' })) return;
+    await loadBrandMetadata();
+
+    // Restore the view from the URL; values the selects don't offer fall back to the first option
+    const params = new URLSearchParams(window.location.search);
+    const sortSelect = document.getElementById('brand-sort');
+    const groupSelect = document.getElementById('brand-group');
+    for (const [param, select] of [['sort', sortSelect], ['group', groupSelect]]) {
+        const value = cleanQueryValue(params.get(param));
+        if ([...select.options].some(option => option.value === value)) select.value = value;
+    }
+
+    const update = () => {
+        const query = new URLSearchParams();
+        if (sortSelect.value !== sortSelect.options[0].value) query.set('sort', sortSelect.value);
+        if (groupSelect.value !== groupSelect.options[0].value) query.set('group', groupSelect.value);
+        const search = query.toString() ? `?${query}` : '';
+        if (search !== window.location.search) {
+            window.history.replaceState(null, '', `${window.location.pathname}${search}`);
+        }
+        renderBrandsGrid(sortSelect.value, groupSelect.value);
+    };
+    sortSelect.addEventListener('change', update);
+    groupSelect.addEventListener('change', update);
+    renderBrandsGrid(sortSelect.value, groupSelect.value);
+}
+
+/**
+ * Renders the brand cards, optionally under a heading per country.
+ * @param {string} sort A key of BRAND_SORTS.
+ * @param {string} group 'country' or 'none'.
+ */
+function renderBrandsGrid(sort, group) {
+    const brands = countBikesByBrand(motorcycles).map(entry => ({ ...entry, info: getBrandInfo(entry.brand) }));
+
+    document.getElementById('brands-grid').innerHTML = html`${groupBrands(brands, sort, group).map(({ label, brands: members }) => html`
+        ${label !== null && html`<h2 class="brand-group-title">${label} <span>(${members.length})</span></h2>`}
+        ${members.map(({ brand, count, info }) => html`
+            <div class="brand-card" data-href="brand.html?brand=${encodeURIComponent(brand)}">
+                ${renderBrandLogo(brand, info)}
+                <h3 class="chrome-text">${brand}</h3>
+                ${(info.country || info.founded) && html`<p class="brand-origin">${[info.country, info.founded && `Est. ${info.founded}`].filter(Boolean).join(' • ')}</p>`}
+                <p class="model-count">${count} Models</p>
+            </div>
+        `)}
+    `)}`;
+}
+
+/**
+ * Counts the models of each brand.
+ * @param {Array<object>} bikes The bikes to count.
+ * @returns {Array<{brand: string, count: number}>} One entry per brand, sorted by name.
+ */
+function countBikesByBrand(bikes) {
+    const brandsMap = {};
+    bikes.forEach(bike => {
+        brandsMap[bike.brand] = (brandsMap[bike.brand] || 0) + 1;
+    });
+    return Object.keys(brandsMap).sort().map(brand => ({ brand, count: brandsMap[brand] }));
+}
+
+/**
+ * Sorts brands and splits them into groups.
+ * @param {Array<{brand: string, count: number, info: object}>} brands Brands with their
+ *   model count and metadata (see getBrandInfo()).
+ * @param {string} [sort] A key of BRAND_SORTS.
+ * @param {string} [group] 'country' to group by country, anything else for one group.
+ * @returns {Array<{label: (string|null), brands: Array<object>}>} The groups in display
+ *   order (countries A-Z, unknown last). The single ungrouped group has a null label.
+ */
+function groupBrands(brands, sort = 'name', group = 'none') {
+    const sorted = [...brands].sort(BRAND_SORTS[sort] || BRAND_SORTS.name);
+    if (group !== 'country') {
+        return [{ label: null, brands: sorted }];
+    }
+    const groups = new Map();
+    sorted.forEach(entry => {
+        const label = entry.info.country || UNKNOWN_COUNTRY;
+        if (!groups.has(label)) groups.set(label, []);
+        groups.get(label).push(entry);
+    });
+    return [...groups.keys()]
+        .sort((a, b) => (a === UNKNOWN_COUNTRY) - (b === UNKNOWN_COUNTRY) || a.localeCompare(b))
+        .map(label => ({ label, brands: groups.get(label) }));
+}
+
+/**
+ * Creates a brand's logo, or a monogram of its initials when brands.json has no logo.
+ * @param {string} brand The brand name.
+ * @param {object} info The brand's metadata (see getBrandInfo()).
+ * @returns {SafeHTML} The logo markup.
+ */
+function renderBrandLogo(brand, info) {
+    const src = safeURL(info.logoURL || '');
+    if (src) {
+        return html`<img class="brand-logo" src="${src}" alt="${brand} logo" loading="lazy">`;
+    }
+    const initials = brand.split(/[\s-]+/).filter(Boolean).slice(0, 2).map(word => word[0].toUpperCase()).join('');
+    return html`<div class="brand-logo brand-monogram" aria-hidden="true">${initials}</div>`;
+}
+
+// --- BIKES BROWSER PAGE FUNCTIONS ---
+
+// Numeric facets shown as min/max inputs. `key` is used for the filter names
+// (`${key}_min`, `${key}_max`), which double as URL parameters. Facets with a
+// `quantity` are typed in the user's units/currency but stored (and shared in
+// the URL) in the database's metric units and rupees.
+const RANGE_FACETS = [
+    { key: 'price', label: 'Price', quantity: 'price', get: bike => bike.specs.price_original_inr },
+    { key: 'hp', label: 'Horsepower', unit: 'HP', get: bike => bike.specs.horsepower },
+    { key: 'torque', label: 'Torque', quantity: 'torque', get: bike => bike.specs.torque },
+    { key: 'weight', label: 'Weight', quantity: 'weight', get: bike => bike.specs.weight },
+    { key: 'speed', label: 'Top Speed', quantity: 'speed', get: bike => bike.specs.top_speed },
+    { key: 'mileage', label: 'Mileage', quantity: 'mileage', get: bike => bike.specs.mileage_kmpl },
+    { key: 'year', label: 'Year', get: bike => bike.year }
+];
+
+/**
+ * Returns a range facet's label with its display unit, e.g. 'Top Speed (mph)'.
+ * @param {object} facet An entry of RANGE_FACETS.
+ * @returns {string} The label.
+ */
+function rangeFacetLabel(facet) {
+    const unit = facet.quantity ? getDisplayUnit(facet.quantity).unit.trim() : facet.unit;
+    return unit ? `${facet.label} (${unit})` : facet.label;
+}
+
+/**
+ * Converts a stored facet bound to the number shown in its input.
+ * @param {object} facet An entry of RANGE_FACETS.
+ * @param {string|number} value The stored value ('' for no bound).
+ * @returns {string|number} The display value.
+ */
+function rangeToDisplay(facet, value) {
+    if (value === '' || !facet.quantity) return value;
+    return Number((Number(value) * getDisplayUnit(facet.quantity).factor).toFixed(1));
+}
+
+/**
+ * Converts a number typed into a facet input to the stored (metric/INR) value.
+ * @param {object} facet An entry of RANGE_FACETS.
+ * @param {string} value The input's value ('' for no bound).
+ * @returns {string} The stored value.
+ */
+function rangeFromDisplay(facet, value) {
+    if (value === '' || !facet.quantity) return value;
+    return String(Number((Number(value) / getDisplayUnit(facet.quantity).factor).toFixed(2)));
+}
+
+// Multi-select facets. `values` lists the options a bike has; a bike passes a
+// facet if it has any of the selected options. `order` sorts the option list.
+const LIST_FACETS = [
+    {
+        key: 'brand',
+        label: 'Brands',
+        values: bike => [bike.brand],
+        optionLabel: value => value,
+        order: (a, b) => a.localeCompare(b)
+    },
+    {
+        key: 'status',
+        label: 'Status',
+        values: statusCategories,
+        optionLabel: value => STATUS_CATEGORIES[value] || motorcycles.map(parseStatus).find(info => info.category === value)?.label || value,
+        order: (a, b) => {
+            const keys = Object.keys(STATUS_CATEGORIES);
+            return (keys.indexOf(a) + 1 || Infinity) - (keys.indexOf(b) + 1 || Infinity) || a.localeCompare(b);
+        }
+    },
+    {
+        key: 'tag',
+        label: 'Tags',
+        values: bike => bike.tags,
+        optionLabel: value => value,
+        order: (a, b, counts) => counts[b] - counts[a] || a.localeCompare(b)
+    }
+];
+
+const DEFAULT_FILTERS = {
+    search: '',
+    brand: [],
+    status: [],
+    tag: [],
+    cc: '',
+    ...Object.fromEntries(RANGE_FACETS.flatMap(f => [[`${f.key}_min`, ''], [`${f.key}_max`, '']])),
+    unknown: false,
+    sort: 'relevance'
+};
+
+// Query-string names for filters whose key isn't used as-is (search shares ?q= with the nav box)
+const FILTER_PARAMS = {
+    search: 'q'
+};
+
+let currentFilters = cloneFilters(DEFAULT_FILTERS);
+
+// The bikes applyFilters() last showed, in display order (used by the export buttons)
+let filteredBikes = [];
+
+/**
+ * Copies a filters object, including its multi-select arrays.
+ * @param {object} filters The filters to copy.
+ * @returns {object} An independent copy.
+ */
+function cloneFilters(filters) {
+    return Object.fromEntries(Object.entries(filters).map(([key, value]) => [key, Array.isArray(value) ? [...value] : value]));
+}
+
+/**
+ * Serializes filters into a query string, leaving out anything at its default
+ * so the URL stays short (e.g. "?status=in-production&cc=300-500&sort=power-desc").
+ * Multi-select filters repeat their parameter (brand=BMW&brand=Ducati).
+ * @param {object} filters The filters to serialize.
+ * @returns {string} The query string, including the leading '?', or '' if all defaults.
+ */
+function filtersToQuery(filters) {
+    const params = new URLSearchParams();
+    for (const [key, defaultValue] of Object.entries(DEFAULT_FILTERS)) {
+        const param = FILTER_PARAMS[key] || key;
+        const value = filters[key];
+        if (Array.isArray(defaultValue)) {
+            value.forEach(v => params.append(param, v));
+        } else if (typeof defaultValue === 'boolean') {
+            if (value) params.set(param, '1');
+        } else if (value !== defaultValue) {
+            params.set(param, value);
+        }
+    }
+    const query = params.toString();
+    return query ? `?${query}` : '';
+}
+
+/**
+ * Reads filters from a query string. Unknown parameters are ignored and
+ * missing ones fall back to their defaults.
+ * @param {string} search The query string (window.location.search).
+ * @returns {object} A complete filters object.
+ */
+function filtersFromQuery(search) {
+    const params = new URLSearchParams(search);
+    const filters = cloneFilters(DEFAULT_FILTERS);
+    for (const [key, defaultValue] of Object.entries(DEFAULT_FILTERS)) {
+        const param = FILTER_PARAMS[key] || key;
+        if (Array.isArray(defaultValue)) {
+            filters[key] = [...new Set(params.getAll(param).map(cleanQueryValue).filter(Boolean))];
+        } else if (typeof defaultValue === 'boolean') {
+            filters[key] = params.get(param) === '1';
+        } else if (params.has(param)) {
+            filters[key] = cleanQueryValue(params.get(param));
+        }
+    }
+    // Range bounds must be numbers; anything else is dropped
+    for (const facet of RANGE_FACETS) {
+        for (const bound of ['min', 'max']) {
+            const key = `${facet.key}_${bound}`;
+            if (filters[key] !== '' && !Number.isFinite(Number(filters[key]))) filters[key] = '';
+        }
+    }
+    return filters;
+}
+
+/**
+ * Sets the filter controls on bikes.html to match `currentFilters`.
+ * Values that aren't among a select's options (e.g. a hand-edited URL) fall back to the default.
+ * The multi-select facets are re-rendered by applyFilters().
+ */
+function syncFilterControls() {
+    document.getElementById('search-input').value = currentFilters.search;
+    const selects = { cc: 'cc-filter', sort: 'sort-select' };
+    for (const [key, elementId] of Object.entries(selects)) {
+        const select = document.getElementById(elementId);
+        const known = [...select.options].some(option => option.value === currentFilters[key]);
+        if (!known) currentFilters[key] = DEFAULT_FILTERS[key];
+        select.value = currentFilters[key];
+    }
+    for (const facet of RANGE_FACETS) {
+        document.getElementById(`${facet.key}-min`).value = rangeToDisplay(facet, currentFilters[`${facet.key}_min`]);
+        document.getElementById(`${facet.key}-max`).value = rangeToDisplay(facet, currentFilters[`${facet.key}_max`]);
+    }
+    document.getElementById('include-unknown').checked = currentFilters.unknown;
+}
+
+/**
+ * Records `currentFilters` in the address bar so the view can be bookmarked or shared.
+ * @param {boolean} replace Replace the current history entry instead of adding one.
+ */
+function updateFiltersURL(replace = false) {
+    const url = `${window.location.pathname}${filtersToQuery(currentFilters)}`;
+    if (url === `${window.location.pathname}${window.location.search}`) return;
+    if (replace) {
+        window.history.replaceState(null, '', url);
+    } else {
+        window.history.pushState(null, '', url);
+    }
+}
+
+/**
+ * Updates one filter, records it in the URL and re-renders the results.
+ * @param {string} key The filter to change.
+ * @param {string|Array|boolean} value Its new value.
+ * @param {boolean} replace Replace the current history entry (used while typing a search).
+ */
+function setFilter(key, value, replace = false) {
+    currentFilters[key] = value;
+    updateFiltersURL(replace);
+    applyFilters();
+}
+
+// Engine size classes: the ranges of the Engine CC filter on bikes.html, also
+// used by the displacement chart and the top list segments
+const CC_CLASSES = [
+    { range: '0-100', label: '< 100' },
+    { range: '100-200', label: '100-200' },
+    { range: '200-300', label: '200-300' },
+    { range: '300-500', label: '300-500' },
+    { range: '500-750', label: '500-750' },
+    { range: '750-1000', label: '750-1000' },
+    { range: '1000+', label: '1000+' }
+];
+
+/**
+ * Checks an engine size against a cc bucket from the cc filter.
+ * Buckets are "min-max" (inclusive) or "min+" for open-ended ranges like "1000+".
+ * @param {number} cc The engine displacement.
+ * @param {string} range The bucket, e.g. '300-500' or '1000+'.
+ * @returns {boolean} True if the cc falls in the bucket.
+ */
+function matchesCcRange(cc, range) {
+    const [min, max] = range.split('-').map(v => v === '+' ? Infinity : parseInt(v) || 0);
+    if (max && max !== Infinity) {
+        return cc >= min && cc <= max;
+    }
+    return cc >= min;
+}
+
+/**
+ * Checks a bike against every filter except search and, optionally, one facet
+ * (facet counts are computed with their own facet left out, so picking one
+ * brand doesn't zero out the counts of all the other brands).
+ * @param {object} bike The bike data object.
+ * @param {object} filters The filters to apply.
+ * @param {string|null} exceptFacet Key of a LIST_FACETS entry to ignore.
+ * @returns {boolean} True if the bike passes.
+ */
+function passesFilters(bike, filters, exceptFacet = null) {
+    for (const facet of LIST_FACETS) {
+        const selected = filters[facet.key];
+        if (facet.key === exceptFacet || selected.length === 0) continue;
+        if (!facet.values(bike).some(value => selected.includes(value))) return false;
+    }
+    if (filters.cc && !matchesCcRange(bike.specs.cc, filters.cc)) return false;
+    for (const facet of RANGE_FACETS) {
+        const min = filters[`${facet.key}_min`];
+        const max = filters[`${facet.key}_max`];
+        if (min === '' && max === '') continue;
+        const value = facet.get(bike);
+        // Null specs are everywhere in the data; the toggle decides whether they pass a range
+        if (value === null || value === undefined) {
+            if (!filters.unknown) return false;
+            continue;
+        }
+        if (min !== '' && value < Number(min)) return false;
+        if (max !== '' && value > Number(max)) return false;
+    }
+    return true;
+}
+
+/**
+ * Counts, for each option of a list facet, how many candidates would pass the
+ * filters with that option ticked. Every option found in `allBikes` is listed,
+ * with 0 when nothing matches.
+ * @param {object} facet An entry of LIST_FACETS.
+ * @param {Array<object>} candidates Bikes that pass the search filter.
+ * @param {object} filters The current filters.
+ * @param {Array<object>} [allBikes] Bikes whose options are listed.
+ * @returns {Object<string, number>} Option value -> count.
+ */
+function countFacetOptions(facet, candidates, filters, allBikes = motorcycles) {
+    const counts = {};
+    allBikes.forEach(bike => facet.values(bike).forEach(value => { counts[value] = 0; }));
+    candidates
+        .filter(bike => passesFilters(bike, filters, facet.key))
+        .forEach(bike => new Set(facet.values(bike)).forEach(value => { counts[value]++; }));
+    return counts;
+}
+
+/**
+ * Renders the multi-select facet lists with a live count next to each option:
+ * how many bikes would be shown with that option ticked, given every other filter.
+ * @param {Array<object>} candidates Bikes that pass the search filter.
+ */
+function renderFacets(candidates) {
+    for (const facet of LIST_FACETS) {
+        const selected = currentFilters[facet.key];
+        const counts = countFacetOptions(facet, candidates, currentFilters);
+
+        // Selected options first, then in the facet's own order
+        const options = Object.keys(counts).sort((a, b) =>
+            selected.includes(b) - selected.includes(a) || facet.order(a, b, counts));
+
+        document.getElementById(`facet-${facet.key}`).innerHTML = html`${options.map(value => html`
+            <label class="facet-option${counts[value] === 0 && !selected.includes(value) && ' empty'}">
+                <input type="checkbox" data-facet="${facet.key}" value="${value}"${selected.includes(value) && html` checked`}>
+                <span>${facet.optionLabel(value)}</span>
+                <span class="facet-count">${counts[value]}</span>
+            </label>
+        `)}`;
+    }
+}
+
+async function loadBikesPage() {
+    if (!await loadPageData(loadBikesPage, { 'all-bikes': 'cards', 'bikes-count': 'none' })) return;
+
+    // Min/max inputs, with the range found in the data as placeholders
+    document.getElementById('range-facets').innerHTML = html`${RANGE_FACETS.map(facet => {
+        const values = motorcycles.map(facet.get).filter(v => v !== null && v !== undefined);
+        const low = values.length > 0 ? Math.floor(rangeToDisplay(facet, Math.min(...values))) : '';
+        const high = values.length > 0 ? Math.ceil(rangeToDisplay(facet, Math.max(...values))) : '';
+        const label = rangeFacetLabel(facet);
+        return html`
+            <div class="filter-group range-group">
+                <label>${label}:</label>
+                <div class="range-inputs">
+                    <input type="number" id="${facet.key}-min" data-facet-key="${facet.key}" data-range="${facet.key}_min" step="any" placeholder="${low}" aria-label="Minimum ${label}">
+                    <span>–</span>
+                    <input type="number" id="${facet.key}-max" data-facet-key="${facet.key}" data-range="${facet.key}_max" step="any" placeholder="${high}" aria-label="Maximum ${label}">
+                </div>
+            </div>
+        `;
+    })}`;
+
+    // Restore the view from the URL (this is also how ?q=... from the nav search arrives)
+    currentFilters = filtersFromQuery(window.location.search);
+    syncFilterControls();
+
+    // Event listeners
+    document.getElementById('search-input').addEventListener('input', (e) => {
+        // Typing a search adds one history entry; further keystrokes update it in place
+        setFilter('search', e.target.value.trim(), currentFilters.search !== '');
+    });
+    document.getElementById('cc-filter').addEventListener('change', (e) => setFilter('cc', e.target.value));
+    document.getElementById('sort-select').addEventListener('change', (e) => setFilter('sort', e.target.value));
+    document.getElementById('include-unknown').addEventListener('change', (e) => setFilter('unknown', e.target.checked));
+    document.getElementById('range-facets').addEventListener('change', (e) => {
+        const facet = RANGE_FACETS.find(f => f.key === e.target.dataset.facetKey);
+        if (facet) setFilter(e.target.dataset.range, rangeFromDisplay(facet, e.target.value.trim()));
+    });
+    document.getElementById('list-facets').addEventListener('change', (e) => {
+        const key = e.target.dataset.facet;
+        if (!key) return;
+        const selected = currentFilters[key].filter(value => value !== e.target.value);
+        setFilter(key, e.target.checked ? [...selected, e.target.value] : selected);
+    });
+    document.getElementById('export-csv').addEventListener('click', () => exportBikes(filteredBikes, 'csv', 'motorcycles'));
+    document.getElementById('export-json').addEventListener('click', () => exportBikes(filteredBikes, 'json', 'motorcycles'));
+    document.getElementById('clear-filters').addEventListener('click', () => {
+        currentFilters = { ...cloneFilters(DEFAULT_FILTERS), sort: currentFilters.sort };
+        syncFilterControls();
+        updateFiltersURL();
+        applyFilters();
+    });
+
+    // Back/forward: the URL is the source of truth
+    window.addEventListener('popstate', () => {
+        currentFilters = filtersFromQuery(window.location.search);
+        syncFilterControls();
+        applyFilters();
+    });
+
+    updateFiltersURL(true);
+    applyFilters();
+}
+
+/**
+ * Applies search and filters to a list of bikes and sorts the result.
+ * @param {Array<object>} bikes The bikes to filter.
+ * @param {object} filters A complete filters object (see DEFAULT_FILTERS).
+ * @returns {{bikes: Array<object>, candidates: Array<object>, matches: (Map|null)}} The
+ *   filtered and sorted bikes, the bikes that passed the search alone, and the
+ *   search results by bike id (null without a search).
+ */
+function filterBikes(bikes, filters) {
+    // Search filter: keep only matching bikes, remembering their score and matched terms
+    const searchResults = filters.search ? searchBikes(filters.search, bikes) : null;
+    const matches = searchResults ? new Map(searchResults.map(r => [r.bike.id, r])) : null;
+    const candidates = matches ? bikes.filter(bike => matches.has(bike.id)) : bikes;
+    const filtered = candidates.filter(bike => passesFilters(bike, filters));
+    return { bikes: sortBikes(filtered, filters.sort, matches), candidates, matches };
+}
+
+/**
+ * Sorts bikes by one of the sort options of bikes.html. Bikes missing the
+ * sorted value go last.
+ * @param {Array<object>} bikes The bikes to sort (not modified).
+ * @param {string} sort The sort option, e.g. 'price-asc' or 'relevance'.
+ * @param {Map|null} matches Search results by bike id, for 'relevance'.
+ * @returns {Array<object>} The sorted copy.
+ */
+function sortBikes(bikes, sort, matches = null) {
+    // Ascending, with missing values last (a subtraction with Infinity gives NaN when both are missing)
+    const ascending = (x, y) => (x == null || y == null) ? (x == null) - (y == null) : x - y;
+    // Sort with robust handling for null values
+    return [...bikes].sort((a, b) => {
+        const specA = a.specs;
+        const specB = b.specs;
+        switch(sort) {
+            // Best match first while searching, otherwise the same as brand order
+            case 'relevance':
+                return (matches ? matches.get(b.id).score - matches.get(a.id).score : 0) ||
+                    a.brand.localeCompare(b.brand) || a.model.localeCompare(b.model);
+            case 'brand': return a.brand.localeCompare(b.brand) || a.model.localeCompare(b.model);
+            case 'year-asc': return a.year - b.year || a.model.localeCompare(b.model);
+            case 'year-desc': return b.year - a.year || a.model.localeCompare(b.model);
+            // For price, treat nulls as highest (for asc) or lowest (for desc)
+            case 'price-asc': return ascending(specA.price_original_inr, specB.price_original_inr);
+            case 'price-desc': return (specB.price_original_inr ?? -1) - (specA.price_original_inr ?? -1);
+            // For other specs, treat nulls as the lowest value
+            case 'power-desc': return (specB.horsepower ?? -1) - (specA.horsepower ?? -1);
+            case 'speed-desc': return (specB.top_speed ?? -1) - (specA.top_speed ?? -1);
+            case 'mileage-desc': return (specB.mileage_kmpl ?? -1) - (specA.mileage_kmpl ?? -1);
+            case 'cc-asc': return (specA.cc ?? 0) - (specB.cc ?? 0);
+            case 'cc-desc': return (specB.cc ?? 0) - (specA.cc ?? 0);
+            // Derived metrics: nulls last, like the specs above
+            case 'ptw-desc': return (getMetric(b, 'power_to_weight') ?? -1) - (getMetric(a, 'power_to_weight') ?? -1);
+            case 'ttw-desc': return (getMetric(b, 'torque_to_weight') ?? -1) - (getMetric(a, 'torque_to_weight') ?? -1);
+            case 'hpl-desc': return (getMetric(b, 'hp_per_litre') ?? -1) - (getMetric(a, 'hp_per_litre') ?? -1);
+            case 'pphp-asc': return ascending(getMetric(a, 'price_per_hp'), getMetric(b, 'price_per_hp'));
+            default: return 0;
+        }
+    });
+}
+
+function applyFilters() {
+    const { bikes: filtered, candidates, matches } = filterBikes(motorcycles, currentFilters);
+    renderFacets(candidates);
+
+    filteredBikes = filtered;
+    document.getElementById('bikes-count').textContent = `Showing ${filtered.length} of ${motorcycles.length} motorcycles`;
+    document.getElementById('view-charts').href = `analytics.html${filtersToQuery(currentFilters)}`;
+    document.getElementById('all-bikes').innerHTML = filtered.length > 0 
+        ? html`${filtered.map(bike => createBikeCard(bike, matches ? matches.get(bike.id).terms : null))}`
+        : html`<p class="empty-state">No motorcycles match your criteria.</p>`;
+}
+
+// --- BRAND DETAIL PAGE FUNCTIONS ---
+
+// The models of the brand on brand.html, in file order
+let brandBikes = [];
+
+async function loadBrandPage() {
+    const loaded = await loadPageData(loadBrandPage, {
+        'brand-bikes': 'cards',
+        'brand-stats': 'none',
+        'brand-timeline': 'none'
+    });
+    if (!loaded) return;
+    await loadBrandMetadata();
+
+    const brandName = getQueryParam('brand');
+
+    brandBikes = motorcycles.filter(m => m.brand === brandName);
+
+    if (brandBikes.length === 0) {
+        document.getElementById('brand-name').textContent = "Brand Not Found";
+        document.getElementById('brand-count').textContent = "";
+        document.getElementById('brand-overview').hidden = true;
+        document.getElementById('brand-bikes').innerHTML = brandName
+            ? html`<p>There are no models for the brand "${brandName}" in the database.</p>`
+            : html`<p>No brand was given. Pick one from the <a href="brands.html">brands list</a>.</p>`;
+        return;
+    }
+
+    const info = getBrandInfo(brandName);
+    document.title = `${brandName} | Motorcycle Encyclopedia`;
+    document.getElementById('brand-name').textContent = brandName;
+    document.getElementById('brand-count').textContent = `${brandBikes.length} Models in Collection`;
+    document.getElementById('brand-logo').innerHTML = renderBrandLogo(brandName, info);
+    document.getElementById('brand-meta').innerHTML = html`${[
+        info.country && html`<span>${info.country}</span>`,
+        info.founded && html`<span>Founded ${info.founded}</span>`,
+        info.parent && html`<span>Part of ${info.parent}</span>`
+    ].filter(Boolean)}`;
+
+    const stats = computeBrandStats(brandBikes);
+    renderBrandStats(stats);
+    document.getElementById('brand-timeline').innerHTML = html`${groupBikesByYear(brandBikes).map(({ year, bikes }) => html`
+        <div class="timeline-year">
+            <div class="timeline-label">${year}</div>
+            <div class="timeline-models">
+                ${bikes.map(bike => {
+                    const status = parseStatus(bike);
+                    return html`
+                        <a href="bike.html?id=${encodeURIComponent(bike.id)}" class="timeline-model">
+                            ${bike.model} <span class="tag status-${status.category}">${status.label}</span>
+                        </a>
+                    `;
+                })}
+            </div>
+        </div>
+    `)}`;
+
+    // Filters within the brand, kept in the URL next to ?brand= (same parameters as bikes.html)
+    const fromURL = filtersFromQuery(window.location.search);
+    currentFilters = {
+        ...cloneFilters(DEFAULT_FILTERS),
+        brand: [brandName],
+        search: fromURL.search,
+        status: fromURL.status.slice(0, 1),
+        sort: fromURL.sort
+    };
+
+    const statusSelect = document.getElementById('brand-status');
+    statusSelect.innerHTML = html`
+        <option value="">All (${brandBikes.length})</option>
+        ${stats.statuses.map(({ category, label, count }) => html`<option value="${category}">${label} (${count})</option>`)}
+    `;
+    const searchInput = document.getElementById('brand-search');
+    const sortSelect = document.getElementById('brand-sort');
+    if (!stats.statuses.some(s => s.category === currentFilters.status[0])) currentFilters.status = [];
+    if (![...sortSelect.options].some(option => option.value === currentFilters.sort)) currentFilters.sort = DEFAULT_FILTERS.sort;
+    searchInput.value = currentFilters.search;
+    statusSelect.value = currentFilters.status[0] || '';
+    sortSelect.value = currentFilters.sort;
+
+    const setBrandFilter = (key, value) => {
+        currentFilters[key] = value;
+        updateFiltersURL(true);
+        renderBrandModels();
+    };
+    searchInput.addEventListener('input', (e) => setBrandFilter('search', e.target.value.trim()));
+    statusSelect.addEventListener('change', (e) => setBrandFilter('status', e.target.value ? [e.target.value] : []));
+    sortSelect.addEventListener('change', (e) => setBrandFilter('sort', e.target.value));
+
+    renderBrandModels();
+}
+
+/**
+ * Renders the brand's models that pass the filters on brand.html.
+ */
+function renderBrandModels() {
+    const { bikes, matches } = filterBikes(brandBikes, currentFilters);
+    document.getElementById('brand-models-count').textContent = `Showing ${bikes.length} of ${brandBikes.length} models`;
+    document.getElementById('brand-bikes').innerHTML = bikes.length > 0
+        ? html`${bikes.map(bike => createBikeCard(bike, matches ? matches.get(bike.id).terms : null))}`
+        : html`<p class="empty-state">No models of this brand match your criteria.</p>`;
+}
+
+/**
+ * Renders the stat cards of brand.html.
+ * @param {object} stats The result of computeBrandStats().
+ */
+function renderBrandStats(stats) {
+    const years = stats.firstYear === stats.lastYear ? stats.firstYear : `${stats.firstYear}–${stats.lastYear}`;
+    let displacement = stats.minCc === null ? 'N/A'
+        : stats.minCc === stats.maxCc ? `${stats.minCc}cc` : `${stats.minCc}–${stats.maxCc}cc`;
+    if (stats.electric > 0) displacement = stats.minCc === null ? 'Electric' : `${displacement} + Electric`;
+
+    document.getElementById('brand-stats').innerHTML = html`
+        <div class="stat-card"><h3>${stats.models}</h3><p>Models</p></div>
+        <div class="stat-card"><h3>${years}</h3><p>Model Years</p></div>
+        <div class="stat-card"><h3>${displacement}</h3><p>Displacement</p></div>
+        <div class="stat-card"><h3>${formatSpec(stats.avgPower, ' HP')}</h3><p>Avg Horsepower</p></div>
+        <div class="stat-card"><h3>${formatSpec(stats.peakPower, ' HP')}</h3><p>Peak Horsepower</p></div>
+        <div class="stat-card status-share-card">
+            <div class="status-share" role="img" aria-label="${stats.statuses.map(s => `${s.label}: ${s.count}`).join(', ')}">
+                ${stats.statuses.map(s => html`<span class="status-${s.category}" style="width: ${(s.share * 100).toFixed(1)}%;"></span>`)}
+            </div>
+            <ul class="status-share-legend">
+                ${stats.statuses.map(s => html`<li><span class="swatch status-${s.category}"></span>${s.label} ${Math.round(s.share * 100)}%</li>`)}
+            </ul>
+        </div>
+    `;
+}
+
+/**
+ * Sums up a brand's models.
+ * @param {Array<object>} bikes The brand's bikes (at least one).
+ * @returns {{models: number, firstYear: number, lastYear: number, minCc: (number|null),
+ *   maxCc: (number|null), electric: number, avgPower: (number|null), peakPower: (number|null),
+ *   statuses: Array<{category: string, label: string, count: number, share: number}>}}
+ *   Displacement leaves out electric bikes (cc 0), which are counted in `electric`;
+ *   power leaves out bikes without a figure. `statuses` is in STATUS_CATEGORIES order,
+ *   then any other statuses by label, and `share` is a fraction of all models.
+ */
+function computeBrandStats(bikes) {
+    const years = bikes.map(bike => bike.year);
+    const engines = bikes.map(bike => bike.specs.cc).filter(cc => cc > 0);
+    const powers = bikes.map(bike => bike.specs.horsepower).filter(hp => hp !== null && hp !== undefined);
+
+    const statusCounts = new Map();
+    bikes.forEach(bike => {
+        const { category, label } = parseStatus(bike);
+        if (!statusCounts.has(category)) statusCounts.set(category, { category, label, count: 0 });
+        statusCounts.get(category).count++;
+    });
+    const order = Object.keys(STATUS_CATEGORIES);
+    const statuses = [...statusCounts.values()]
+        .sort((a, b) => {
+            const [x, y] = [order.indexOf(a.category), order.indexOf(b.category)];
+            if (x === -1 || y === -1) return (x === -1) - (y === -1) || a.label.localeCompare(b.label);
+            return x - y;
+        })
+        .map(status => ({ ...status, share: status.count / bikes.length }));
+
+    return {
+        models: bikes.length,
+        firstYear: Math.min(...years),
+        lastYear: Math.max(...years),
+        minCc: engines.length > 0 ? Math.min(...engines) : null,
+        maxCc: engines.length > 0 ? Math.max(...engines) : null,
+        electric: bikes.filter(bike => bike.specs.cc === 0).length,
+        avgPower: powers.length > 0 ? Math.round(powers.reduce((sum, hp) => sum + hp, 0) / powers.length) : null,
+        peakPower: powers.length > 0 ? Math.max(...powers) : null,
+        statuses
+    };
+}
+
+/**
+ * Groups bikes by model year for the brand timeline.
+ * @param {Array<object>} bikes The bikes to group.
+ * @returns {Array<{year: number, bikes: Array<object>}>} Oldest year first, models A-Z.
+ */
+function groupBikesByYear(bikes) {
+    const byYear = new Map();
+    sortBikes(bikes, 'year-asc').forEach(bike => {
+        if (!byYear.has(bike.year)) byYear.set(bike.year, []);
+        byYear.get(bike.year).push(bike);
+    });
+    return [...byYear].map(([year, yearBikes]) => ({ year, bikes: yearBikes }));
+}
+
+// --- LINEAGE & SIMILAR BIKES ---
+
+// What the similarity score compares. `compare` returns 0 (nothing alike) to 1
+// (the same), or null when a bike lacks the value, in which case the feature
+// is left out and the score is weighed over the rest. Features with a label
+// are named in the note under a recommendation when they're close.
+const SIMILARITY_FEATURES = [
+    { label: 'displacement', weight: 3, compare: (a, b) => closeness(a.specs.cc, b.specs.cc) },
+    { label: 'power', weight: 3, compare: (a, b) => closeness(a.specs.horsepower, b.specs.horsepower) },
+    { label: 'weight', weight: 2, compare: (a, b) => closeness(a.specs.weight, b.specs.weight) },
+    { label: 'price', weight: 2, compare: (a, b) => closeness(a.specs.price_original_inr, b.specs.price_original_inr) },
+    { label: 'style', weight: 2, compare: (a, b) => tagOverlap(a.tags, b.tags) },
+    { label: null, weight: 1, compare: (a, b) => parseStatus(a).category === parseStatus(b).category ? 1 : 0 }
+];
+
+// A feature this close counts as "similar" in the note under a recommendation
+const SIMILAR_FEATURE_THRESHOLD = 0.85;
+// Bikes scoring below this aren't recommended at all
+const SIMILARITY_THRESHOLD = 0.5;
+// Rivals are other brands' bikes from within this many years
+const RIVAL_YEAR_WINDOW = 5;
+// Bikes shown in each recommendation section
+const RECOMMENDATION_LIMIT = 4;
+
+/**
+ * Compares two numbers by ratio: 1 when equal, 0.5 when one is half the other.
+ * @param {number|null} x The first value.
+ * @param {number|null} y The second value.
+ * @returns {number|null} The closeness, or null if either value is missing.
+ */
+function closeness(x, y) {
+    if (x === null || x === undefined || y === null || y === undefined) return null;
+    const larger = Math.max(Math.abs(x), Math.abs(y));
+    return larger === 0 ? 1 : 1 - Math.abs(x - y) / larger;
+}
+
+/**
+ * Compares two tag lists (shared tags over all tags, ignoring case).
+ * @param {Array<string>} a The first bike's tags.
+ * @param {Array<string>} b The second bike's tags.
+ * @returns {number|null} The overlap, or null if neither bike has tags.
+ */
+function tagOverlap(a, b) {
+    const setA = new Set(a.map(tag => tag.toLowerCase()));
+    const setB = new Set(b.map(tag => tag.toLowerCase()));
+    const all = new Set([...setA, ...setB]);
+    if (all.size === 0) return null;
+    return [...setA].filter(tag => setB.has(tag)).length / all.size;
+}
+
+/**
+ * Scores how alike two bikes are on SIMILARITY_FEATURES.
+ * @param {object} a The first bike.
+ * @param {object} b The second bike.
+ * @returns {{score: number, similar: Array<string>}} The weighted score from 0 to 1,
+ *   and the labels of the features that are close (e.g. ['displacement', 'power']).
+ */
+function similarityScore(a, b) {
+    let total = 0;
+    let weights = 0;
+    const similar = [];
+    for (const feature of SIMILARITY_FEATURES) {
+        const value = feature.compare(a, b);
+        if (value === null) continue;
+        total += value * feature.weight;
+        weights += feature.weight;
+        if (feature.label && value >= SIMILAR_FEATURE_THRESHOLD) similar.push(feature.label);
+    }
+    return { score: weights > 0 ? total / weights : 0, similar };
+}
+
+/**
+ * Finds the bikes most like a given one.
+ * @param {object} bike The bike to match.
+ * @param {Array<object>} [bikes] The bikes to pick from.
+ * @param {object} [options]
+ * @param {boolean} [options.rivals] Only other brands' bikes from within RIVAL_YEAR_WINDOW years.
+ * @param {Array<string>} [options.exclude] Ids to leave out (the bike itself always is).
+ * @param {number} [options.limit] How many to return.
+ * @returns {Array<{bike: object, score: number, similar: Array<string>}>} Best match first,
+ *   only those scoring at least SIMILARITY_THRESHOLD.
+ */
+function findSimilarBikes(bike, bikes = motorcycles, { rivals = false, exclude = [], limit = RECOMMENDATION_LIMIT } = {}) {
+    return bikes
+        .filter(other => other.id !== bike.id && !exclude.includes(other.id))
+        .filter(other => !rivals || (other.brand !== bike.brand && Math.abs(other.year - bike.year) <= RIVAL_YEAR_WINDOW))
+        .map(other => ({ bike: other, ...similarityScore(bike, other) }))
+        .filter(match => match.score >= SIMILARITY_THRESHOLD)
+        .sort((a, b) => b.score - a.score || a.bike.brand.localeCompare(b.bike.brand) || a.bike.model.localeCompare(b.bike.model))
+        .slice(0, limit);
+}
+
+/**
+ * Follows a bike's lineage links both ways.
+ * @param {object} bike The bike.
+ * @param {Array<object>} [bikes] The bikes the links point into.
+ * @returns {Array<object>} Every generation, oldest first, including the bike itself.
+ *   Links to unknown ids end the chain, and a loop is followed only once.
+ */
+function getLineage(bike, bikes = motorcycles) {
+    const byId = new Map(bikes.map(other => [other.id, other]));
+    const chain = [bike];
+    const seen = new Set([bike.id]);
+    for (const [key, add] of [['predecessor', b => chain.unshift(b)], ['successor', b => chain.push(b)]]) {
+        let current = bike;
+        while (current.lineage && byId.has(current.lineage[key]) && !seen.has(current.lineage[key])) {
+            current = byId.get(current.lineage[key]);
+            seen.add(current.id);
+            add(current);
+        }
+    }
+    return chain;
+}
+
+/**
+ * Renders a recommendation section of bike.html.
+ * @param {string} title The section heading.
+ * @param {Array<object>} matches The result of findSimilarBikes().
+ * @param {string} emptyMessage Shown when there are no matches.
+ * @returns {SafeHTML} The section markup.
+ */
+function renderRecommendations(title, matches, emptyMessage) {
+    return html`
+        <div class="recommendations">
+            <h3 style="font-size: 1.5rem; margin-bottom: 1rem;">${title}</h3>
+            ${matches.length > 0
+                ? html`<div class="bike-grid">${matches.map(({ bike, score, similar }) => createBikeCard(bike, null,
+                    `${Math.round(score * 100)}% match${similar.length > 0 ? ` • similar ${similar.join(', ')}` : ''}`))}</div>`
+                : html`<p class="empty-state">${emptyMessage}</p>`}
+        </div>
+    `;
+}
+
+// --- BIKE DETAIL PAGE FUNCTIONS ---
+
+async function loadBikeDetailPage() {
+    if (!await loadPageData(loadBikeDetailPage, { 'bike-detail': 'detail' })) return;
+    
+    const bikeId = getQueryParam('id');
+    
+    // This now works because `motorcycles` is a flat array.
+    const bike = motorcycles.find(m => m.id === bikeId);
+
+    if (!bike) {
+        document.getElementById('bike-detail').innerHTML = html`<p class="empty-state">Bike not found. It may have been removed or the ID is incorrect.</p>`;
+        return;
+    }
+
+    const status = parseStatus(bike);
+    const statusDetails = describeStatus(bike);
+
+    // Other generations are listed in the lineage, so they're left out of the recommendations
+    const lineage = getLineage(bike);
+    const rivals = findSimilarBikes(bike, motorcycles, { rivals: true, exclude: lineage.map(b => b.id) });
+    const similar = findSimilarBikes(bike, motorcycles, { exclude: [...lineage, ...rivals.map(r => r.bike)].map(b => b.id) });
+
+    // Use the formatSpec helper for cleaner display of potentially null values
+    document.getElementById('bike-detail').innerHTML = html`
+        <div class="detail-header">
+            ${createBikeImage(bike, { class: 'detail-image' })}
+            <div class="detail-info">
+                <h1 class="chrome-text">${bike.model}</h1>
+                <a href="brand.html?brand=${encodeURIComponent(bike.brand)}" class="brand-link">${bike.brand} • ${bike.year}</a>
+                <div class="bike-tags" style="margin: 1rem 0;">
+                    ${bike.tags.map(tag => html`<span class="tag">${tag}</span>`)}
+                    <span class="tag status-${status.category}">${status.label}</span>
+                </div>
+                ${statusDetails.length > 0 && html`<div class="status-details">${statusDetails.join(' • ')}</div>`}
+                <p style="font-size: 1.1rem; line-height: 1.8; margin: 1.5rem 0;">${bike.history}</p>
+                <div class="price" style="font-size: 2rem; margin-top: 1.5rem;">${formatPrice(bike.specs.price_original_inr)}</div>
+                ${createCompareButton(bike.id, 'btn')}
+            </div>
+        </div>
+
+        <div class="detail-specs">
+            <div class="spec-box">
+                <div class="value">${formatSpec(bike.specs.horsepower, ' HP')}</div>
+                <div class="label">Horsepower</div>
+            </div>
+            <div class="spec-box">
+                <div class="value">${formatMeasure(bike.specs.torque, 'torque')}</div>
+                <div class="label">Torque</div>
+            </div>
+            <div class="spec-box">
+                <div class="value">${formatSpec(bike.specs.cc, 'cc')}</div>
+                <div class="label">Engine</div>
+            </div>
+            <div class="spec-box">
+                <div class="value">${formatMeasure(bike.specs.top_speed, 'speed')}</div>
+                <div class="label">Top Speed</div>
+            </div>
+            <div class="spec-box">
+                <div class="value">${formatMeasure(bike.specs.mileage_kmpl, 'mileage')}</div>
+                <div class="label">Mileage</div>
+            </div>
+            <div class="spec-box">
+                <div class="value">${formatMeasure(bike.specs.weight, 'weight')}</div>
+                <div class="label">Weight</div>
+            </div>
+        </div>
+
+        <div class="detail-specs derived-specs">
+            ${Object.entries(DERIVED_METRICS).map(([key, metric]) => html`
+                <div class="spec-box" title="${metricUnavailableReason(bike, key)}">
+                    <div class="value">${formatMetric(bike, key)}</div>
+                    <div class="label">${metric.label}</div>
+                </div>
+            `)}
+        </div>
+
+        <div class="color-variants">
+            <h3 style="font-size: 1.5rem; margin-bottom: 1rem;">Available Colors</h3>
+            <div class="color-list">
+                ${bike.color_variants.map(color => html`<div class="color-item">${color}</div>`)}
+            </div>
+        </div>
+
+        <div style="margin-top: 2rem;">
+            <h3 style="font-size: 1.5rem; margin-bottom: 1rem;">Technical Specifications</h3>
+            <p style="font-size: 1.1rem; color: #bbb;">${bike.specs.engine}</p>
+        </div>
+
+        ${renderGaragePanel(bike)}
+
+        ${lineage.length > 1 && html`
+            <div class="lineage">
+                <h3 style="font-size: 1.5rem; margin-bottom: 1rem;">Model Lineage</h3>
+                <ol class="lineage-chain">
+                    ${lineage.map(generation => generation === bike
+                        ? html`<li class="lineage-item current" aria-current="page"><span class="lineage-year">${generation.year}</span> ${generation.brand} ${generation.model}</li>`
+                        : html`
+                            <li class="lineage-item">
+                                <a href="bike.html?id=${encodeURIComponent(generation.id)}"><span class="lineage-year">${generation.year}</span> ${generation.brand} ${generation.model}</a>
+                                ${createCompareButton(generation.id)}
+                            </li>
+                        `)}
+                </ol>
+            </div>
+        `}
+
+        ${renderRecommendations('Rivals', rivals, `No other brand's bike from ${bike.year - RIVAL_YEAR_WINDOW}–${bike.year + RIVAL_YEAR_WINDOW} is close enough to list.`)}
+        ${renderRecommendations('Similar Motorcycles', similar, 'No other bike in the database is close enough to list.')}
+    `;
+    initGaragePanel(bike.id);
+}
+
+// --- COMPARE TRAY ---
+
+// localStorage key holding the ids of the bikes in the compare tray
+const COMPARE_STORAGE_KEY = 'motoEncyclo.compare';
+
+/**
+ * Reads the compare tray from localStorage.
+ * @returns {Array<string>} The bike ids, in the order they were added.
+ */
+function getCompareList() {
+    try {
+        const ids = JSON.parse(localStorage.getItem(COMPARE_STORAGE_KEY));
+        return Array.isArray(ids) ? ids.filter(id => typeof id === 'string') : [];
+    } catch (error) {
+        return []; // Storage unavailable or corrupted
+    }
+}
+
+/**
+ * Saves the compare tray and refreshes everything that shows it.
+ * @param {Array<string>} ids The bike ids.
+ */
+function saveCompareList(ids) {
+    try {
+        localStorage.setItem(COMPARE_STORAGE_KEY, JSON.stringify([...new Set(ids)]));
+    } catch (error) {
+        console.error('Could not save compare tray:', error);
+    }
+    refreshCompareUI();
+}
+
+function isInCompare(bikeId) {
+    return getCompareList().includes(bikeId);
+}
+
+function addToCompare(bikeId) {
+    if (!isInCompare(bikeId)) saveCompareList([...getCompareList(), bikeId]);
+}
+
+function removeFromCompare(bikeId) {
+    saveCompareList(getCompareList().filter(id => id !== bikeId));
+}
+
+function toggleCompare(bikeId) {
+    if (isInCompare(bikeId)) {
+        removeFromCompare(bikeId);
+    } else {
+        addToCompare(bikeId);
+    }
+}
+
+/**
+ * Creates an add/remove compare button for a bike. The click is handled by
+ * the 'toggle-compare' action, before any card link around the button.
+ * @param {string} bikeId The bike id.
+ * @param {string} className Extra classes for the button.
+ * @returns {SafeHTML} The markup for the button.
+ */
+function createCompareButton(bikeId, className = '') {
+    const active = isInCompare(bikeId);
+    const classes = ['compare-toggle', className, active ? 'active' : ''].filter(Boolean).join(' ');
+    return html`<button type="button" class="${classes}" data-action="toggle-compare" data-compare-id="${bikeId}">${active ? '✓ Comparing' : '+ Compare'}</button>`;
+}
+
+/**
+ * Updates every compare button, the tray, and (on compare.html) the table
+ * after the tray changes.
+ */
+function refreshCompareUI() {
+    document.querySelectorAll('[data-compare-id]').forEach(button => {
+        const active = isInCompare(button.dataset.compareId);
+        button.classList.toggle('active', active);
+        button.textContent = active ? '✓ Comparing' : '+ Compare';
+    });
+    renderCompareTray();
+    if (document.getElementById('compare-result')) {
+        updateComparison();
+    }
+}
+
+/**
+ * Renders the compare tray bar shown at the bottom of every page except compare.html.
+ */
+function renderCompareTray() {
+    const tray = document.getElementById('compare-tray');
+    if (!tray) return;
+    const bikes = getCompareBikes();
+    if (bikes.length === 0) {
+        tray.innerHTML = '';
+        tray.classList.remove('open');
+        return;
+    }
+    tray.classList.add('open');
+    tray.innerHTML = html`
+        <div class="container">
+            <span class="compare-tray-title">Compare (${bikes.length})</span>
+            <div class="compare-chips">
+                ${bikes.map(bike => html`
+                    <span class="compare-chip">
+                        ${bike.brand} ${bike.model}
+                        <button type="button" data-action="remove-compare" data-bike-id="${bike.id}" aria-label="Remove ${bike.brand} ${bike.model}">×</button>
+                    </span>
+                `)}
+            </div>
+            <a href="compare.html?bikes=${bikes.map(b => encodeURIComponent(b.id)).join(',')}" class="btn">Compare Now</a>
+            <button type="button" class="btn btn-secondary" data-action="clear-compare">Clear</button>
+        </div>
+    `;
+}
+
+async function initCompareTray() {
+    try {
+        await loadDatabase();
+    } catch (error) {
+        return; // The page shows the error; retryPageLoad() renders the tray
+    }
+    renderCompareTray();
+    // Keep tabs in sync when the tray changes elsewhere
+    window.addEventListener('storage', (e) => {
+        if (e.key === COMPARE_STORAGE_KEY) refreshCompareUI();
+    });
+}
+
+// --- MY GARAGE ---
+//
+// The user's own record of bikes, kept in localStorage: the lists a bike is on
+// (owned, wishlist, ridden), a 1-5 rating and private notes. Cards show it as
+// badges, bike.html edits it and garage.html lists it, with a JSON file to move
+// it to another browser.
+
+// localStorage key holding the garage (bike id -> entry)
+const GARAGE_STORAGE_KEY = 'motoEncyclo.garage';
+
+// The lists a bike can be on, in display order
+const GARAGE_LISTS = {
+    owned: { label: 'Owned', icon: '🔑' },
+    wishlist: { label: 'Wishlist', icon: '⭐' },
+    ridden: { label: 'Ridden', icon: '🏁' }
+};
+
+// Longest note kept, in characters
+const MAX_GARAGE_NOTE_LENGTH = 2000;
+
+// Written to exported garage files, and checked when importing one
+const GARAGE_FILE_FORMAT = 'moto-encyclo-garage';
+const GARAGE_FILE_VERSION = 1;
+
+/**
+ * Cleans one garage entry read from storage or an imported file.
+ * @param {any} entry The raw entry.
+ * @returns {{lists: Array<string>, rating: (number|null), notes: string, updated: (string|null)}|null}
+ *   The entry, or null if it isn't one or holds nothing.
+ */
+function normalizeGarageEntry(entry) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return null;
+    const lists = Array.isArray(entry.lists) ? Object.keys(GARAGE_LISTS).filter(list => entry.lists.includes(list)) : [];
+    const rating = Number.isInteger(entry.rating) && entry.rating >= 1 && entry.rating <= 5 ? entry.rating : null;
+    const notes = typeof entry.notes === 'string' ? entry.notes.slice(0, MAX_GARAGE_NOTE_LENGTH) : '';
+    if (lists.length === 0 && rating === null && notes.trim() === '') return null;
+    const updated = typeof entry.updated === 'string' && !isNaN(Date.parse(entry.updated)) ? entry.updated : null;
+    return { lists, rating, notes, updated };
+}
+
+/**
+ * Cleans a whole garage, dropping anything that isn't an entry with content.
+ * The result has no prototype, so a bike id like '__proto__' is just a key.
+ * @param {any} data The raw garage (bike id -> entry).
+ * @returns {object} The garage.
+ */
+function normalizeGarage(data) {
+    const garage = Object.create(null);
+    if (!data || typeof data !== 'object' || Array.isArray(data)) return garage;
+    for (const [id, raw] of Object.entries(data)) {
+        const entry = normalizeGarageEntry(raw);
+        if (entry) garage[id] = entry;
+    }
+    return garage;
+}
+
+/**
+ * Reads the garage from localStorage.
+ * @returns {object} Bike ids mapped to their entries.
+ */
+function getGarage() {
+    try {
+        return normalizeGarage(JSON.parse(localStorage.getItem(GARAGE_STORAGE_KEY)));
+    } catch (error) {
+        return normalizeGarage(null); // Storage unavailable or corrupted
+    }
+}
+
+/**
+ * Saves the garage and refreshes everything that shows it.
+ * @param {object} garage Bike ids mapped to their entries.
+ */
+function saveGarage(garage) {
+    try {
+        localStorage.setItem(GARAGE_STORAGE_KEY, JSON.stringify(garage));
+    } catch (error) {
+        console.error('Could not save garage:', error);
+    }
+    refreshGarageUI();
+}
+
+/**
+ * Returns a bike's garage entry.
+ * @param {string} bikeId The bike id.
+ * @returns {object} The entry; an empty one if the bike isn't in the garage.
+ */
+function getGarageEntry(bikeId) {
+    return getGarage()[bikeId] ?? { lists: [], rating: null, notes: '', updated: null };
+}
+
+/**
+ * Changes a bike's garage entry; an entry left empty is removed.
+ * @param {string} bikeId The bike id.
+ * @param {object} changes The fields to set: lists, rating and/or notes.
+ */
+function updateGarageEntry(bikeId, changes) {
+    const garage = getGarage();
+    const entry = normalizeGarageEntry({ ...getGarageEntry(bikeId), ...changes, updated: new Date().toISOString() });
+    if (entry) {
+        garage[bikeId] = entry;
+    } else {
+        delete garage[bikeId];
+    }
+    saveGarage(garage);
+}
+
+function toggleGarageList(bikeId, list) {
+    const { lists } = getGarageEntry(bikeId);
+    updateGarageEntry(bikeId, { lists: lists.includes(list) ? lists.filter(l => l !== list) : [...lists, list] });
+}
+
+function removeFromGarage(bikeId) {
+    const garage = getGarage();
+    delete garage[bikeId];
+    saveGarage(garage);
+}
+
+/**
+ * Formats a rating as stars, e.g. '★★★☆☆'.
+ * @param {number} rating 1 to 5.
+ * @returns {string} The stars.
+ */
+function formatRating(rating) {
+    return '★'.repeat(rating) + '☆'.repeat(5 - rating);
+}
+
+/**
+ * Renders the badges for a garage entry: one per list, and the rating.
+ * @param {object} entry The garage entry.
+ * @returns {SafeHTML} The badges.
+ */
+function renderGarageBadges(entry) {
+    return html`
+        ${entry.lists.map(list => html`<span class="garage-badge garage-${list}">${GARAGE_LISTS[list].icon} ${GARAGE_LISTS[list].label}</span>`)}
+        ${entry.rating !== null && html`<span class="garage-badge garage-rating" title="Your rating: ${entry.rating} of 5">${formatRating(entry.rating)}</span>`}
+    `;
+}
+
+/**
+ * Creates the garage badges of a bike, kept up to date by refreshGarageUI().
+ * Empty (and hidden) while the bike isn't in the garage.
+ * @param {string} bikeId The bike id.
+ * @returns {SafeHTML} The markup.
+ */
+function createGarageBadges(bikeId) {
+    return html`<div class="garage-badges" data-garage-id="${bikeId}">${renderGarageBadges(getGarageEntry(bikeId))}</div>`;
+}
+
+/**
+ * Renders bike.html's My Garage panel: list toggles, rating and notes.
+ * initGaragePanel() wires up the rating and notes.
+ * @param {object} bike The bike.
+ * @returns {SafeHTML} The panel.
+ */
+function renderGaragePanel(bike) {
+    const entry = getGarageEntry(bike.id);
+    return html`
+        <div class="garage-panel">
+            <h3 style="font-size: 1.5rem; margin-bottom: 1rem;">My Garage</h3>
+            <div class="garage-toggles">
+                ${Object.entries(GARAGE_LISTS).map(([list, { label, icon }]) => html`
+                    <button type="button" class="garage-toggle${entry.lists.includes(list) ? ' active' : ''}" aria-pressed="${entry.lists.includes(list)}"
+                        data-action="toggle-garage" data-bike-id="${bike.id}" data-list="${list}">${icon} ${label}</button>
+                `)}
+            </div>
+            <div class="garage-fields">
+                <div class="filter-group">
+                    <label for="garage-rating">Your Rating:</label>
+                    <select id="garage-rating">
+                        <option value="">Not rated</option>
+                        ${[5, 4, 3, 2, 1].map(rating => html`<option value="${rating}">${formatRating(rating)}</option>`)}
+                    </select>
+                </div>
+                <div class="filter-group">
+                    <label for="garage-notes">Private Notes:</label>
+                    <textarea id="garage-notes" rows="4" maxlength="${MAX_GARAGE_NOTE_LENGTH}" placeholder="Service dates, mods, where you rode it...">${entry.notes}</textarea>
+                </div>
+            </div>
+            <p class="garage-hint">Saved in this browser only. <a href="garage.html">View your garage</a></p>
+        </div>
+    `;
+}
+
+/**
+ * Saves the rating and notes of bike.html's garage panel as they change.
+ * @param {string} bikeId The bike shown.
+ */
+function initGaragePanel(bikeId) {
+    const rating = document.getElementById('garage-rating');
+    const notes = document.getElementById('garage-notes');
+    rating.value = String(getGarageEntry(bikeId).rating ?? '');
+    rating.addEventListener('change', () => updateGarageEntry(bikeId, { rating: rating.value ? Number(rating.value) : null }));
+    notes.addEventListener('input', () => updateGarageEntry(bikeId, { notes: notes.value }));
+}
+
+/**
+ * Updates every garage badge and toggle, the garage panel and (on
+ * garage.html) the list after the garage changes.
+ */
+function refreshGarageUI() {
+    const garage = getGarage();
+    const entryOf = id => garage[id] ?? { lists: [], rating: null, notes: '', updated: null };
+    document.querySelectorAll('[data-garage-id]').forEach(badges => {
+        badges.innerHTML = renderGarageBadges(entryOf(badges.dataset.garageId));
+    });
+    document.querySelectorAll('[data-action="toggle-garage"]').forEach(button => {
+        const active = entryOf(button.dataset.bikeId).lists.includes(button.dataset.list);
+        button.classList.toggle('active', active);
+        button.setAttribute('aria-pressed', String(active));
+    });
+
+    // Changes made in another tab; a field being typed in is left alone
+    const panelBike = document.querySelector('[data-action="toggle-garage"]')?.dataset.bikeId;
+    const rating = document.getElementById('garage-rating');
+    const notes = document.getElementById('garage-notes');
+    if (panelBike && rating && notes) {
+        const entry = entryOf(panelBike);
+        if (document.activeElement !== rating) rating.value = String(entry.rating ?? '');
+        if (document.activeElement !== notes) notes.value = entry.notes;
+    }
+
+    if (garageView && document.getElementById('garage-bikes')) renderGarage();
+}
+
+function initGarageSync() {
+    // Keep tabs in sync when the garage changes elsewhere
+    window.addEventListener('storage', (e) => {
+        if (e.key === GARAGE_STORAGE_KEY) refreshGarageUI();
+    });
+}
+
+/**
+ * Builds the contents of an exported garage file.
+ * @param {object} garage Bike ids mapped to their entries.
+ * @returns {object} The file's JSON.
+ */
+function garageToFile(garage) {
+    return { format: GARAGE_FILE_FORMAT, version: GARAGE_FILE_VERSION, exported: new Date().toISOString(), bikes: garage };
+}
+
+/**
+ * Reads an exported garage file.
+ * @param {string} text The file's contents.
+ * @returns {{garage: object, skipped: number}} The garage, and how many of its
+ *   entries were dropped as invalid or empty.
+ * @throws {Error} If the file isn't a garage file this version can read.
+ */
+function parseGarageFile(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error('The file is not valid JSON.');
+    }
+    if (!data || data.format !== GARAGE_FILE_FORMAT || !data.bikes || typeof data.bikes !== 'object') {
+        throw new Error('The file is not a garage exported from this site.');
+    }
+    if (!Number.isInteger(data.version) || data.version > GARAGE_FILE_VERSION) {
+        throw new Error('The garage was exported by a newer version of the site.');
+    }
+    const garage = normalizeGarage(data.bikes);
+    return { garage, skipped: Object.keys(data.bikes).length - Object.keys(garage).length };
+}
+
+/**
+ * Merges an imported garage into another. For a bike in both, the entry
+ * updated last wins (one without a date loses).
+ * @param {object} current The garage in this browser.
+ * @param {object} imported The imported garage.
+ * @returns {{garage: object, applied: Array<string>, kept: Array<string>}} The merged
+ *   garage, the ids whose imported entry was taken, and the ids where the entry in
+ *   `current` was newer and kept. Imported entries identical to the current one are in neither.
+ */
+function mergeGarages(current, imported) {
+    const garage = normalizeGarage(current);
+    const applied = [];
+    const kept = [];
+    for (const [id, entry] of Object.entries(imported)) {
+        const existing = garage[id];
+        if (existing && JSON.stringify(existing) === JSON.stringify(entry)) continue;
+        if (!existing || Date.parse(entry.updated ?? 0) >= Date.parse(existing.updated ?? 0)) {
+            garage[id] = entry;
+            applied.push(id);
+        } else {
+            kept.push(id);
+        }
+    }
+    return { garage, applied, kept };
+}
+
+// --- COMPARE PAGE FUNCTIONS ---
+
+// Rows of the compare table. `value` gives the comparable value (used for the
+// differences toggle); `better` marks numeric rows where the best and worst
+// values are highlighted.
+const COMPARE_ROWS = [
+    { label: 'Image', render: b => createBikeImage(b, { style: 'width: 100%; max-width: 200px;', loading: 'lazy' }) },
+    { label: 'Year', value: b => b.year },
+    { label: 'Status', value: b => parseStatus(b).label, render: b => html`${parseStatus(b).label}${describeStatus(b).map(d => html`<div class="status-details">${d}</div>`)}` },
+    { label: 'Price', value: b => b.specs.price_original_inr, better: 'lower', render: b => formatPrice(b.specs.price_original_inr) },
+    { label: 'Engine', value: b => b.specs.engine },
+    { label: 'Displacement', value: b => b.specs.cc, render: b => formatSpec(b.specs.cc, 'cc') },
+    { label: 'Horsepower', value: b => b.specs.horsepower, better: 'higher', render: b => formatSpec(b.specs.horsepower, ' HP') },
+    { label: 'Torque', value: b => b.specs.torque, better: 'higher', render: b => formatMeasure(b.specs.torque, 'torque') },
+    { label: 'Top Speed', value: b => b.specs.top_speed, better: 'higher', render: b => formatMeasure(b.specs.top_speed, 'speed') },
+    { label: 'Mileage', value: b => b.specs.mileage_kmpl, better: 'higher', render: b => formatMeasure(b.specs.mileage_kmpl, 'mileage') },
+    { label: 'Weight', value: b => b.specs.weight, better: 'lower', render: b => formatMeasure(b.specs.weight, 'weight') },
+    ...Object.entries(DERIVED_METRICS).map(([key, metric]) => ({
+        label: metric.label,
+        value: b => getMetric(b, key),
+        better: metric.better,
+        render: b => formatMetric(b, key),
+        title: b => metricUnavailableReason(b, key)
+    }))
+];
+
+/**
+ * Reads the bikes to compare from compare.html's URL: `?bikes=id1,id2,...`
+ * (shared links) or the older `?add=id`.
+ * @param {string} search The query string.
+ * @returns {{ids: Array<string>, replace: boolean}} The ids, and whether they replace
+ *   the tray (a shared list) or are added to it.
+ */
+function compareIdsFromQuery(search) {
+    const params = new URLSearchParams(search);
+    if (params.has('bikes')) {
+        return { ids: params.get('bikes').split(',').map(cleanQueryValue).filter(Boolean), replace: true };
+    }
+    return { ids: params.getAll('add').map(cleanQueryValue).filter(Boolean), replace: false };
+}
+
+async function loadComparePage() {
+    if (!await loadPageData(loadComparePage, { 'compare-result': 'table', 'compare-chips': 'none' })) return;
+
+    const { ids, replace } = compareIdsFromQuery(window.location.search);
+    const known = ids.filter(id => motorcycles.some(m => m.id === id));
+    if (replace) {
+        saveCompareList(known);
+    } else {
+        saveCompareList([...getCompareList(), ...known]);
+    }
+
+    // Searchable picker: reuses the site search, leaving out bikes already in the table
+    const searchInput = document.getElementById('compare-search');
+    const results = document.getElementById('compare-search-results');
+    searchInput.addEventListener('input', () => {
+        const query = searchInput.value.trim();
+        const selected = getCompareList();
+        const matches = query ? searchBikes(query).filter(r => !selected.includes(r.bike.id)).slice(0, 8) : [];
+        results.innerHTML = query && matches.length === 0
+            ? html`<div class="search-suggestion empty">No matches</div>`
+            : html`${matches.map(({ bike, terms }) => html`
+                <a href="#" class="search-suggestion" data-add-id="${bike.id}">
+                    <strong>${highlightText(bike.model, terms)}</strong>
+                    <span>${highlightText(bike.brand, terms)} • ${bike.year}</span>
+                </a>
+            `)}`;
+    });
+    results.addEventListener('click', (e) => {
+        const link = e.target.closest('[data-add-id]');
+        if (!link) return;
+        e.preventDefault();
+        addToCompare(link.dataset.addId);
+        searchInput.value = '';
+        results.innerHTML = '';
+        searchInput.focus();
+    });
+
+    document.getElementById('diff-only').addEventListener('change', updateComparison);
+    document.getElementById('clear-compare').addEventListener('click', () => saveCompareList([]));
+    document.getElementById('export-compare-csv').addEventListener('click', () => exportBikes(getCompareBikes(), 'csv', 'comparison'));
+    document.getElementById('export-compare-json').addEventListener('click', () => exportBikes(getCompareBikes(), 'json', 'comparison'));
+    document.getElementById('print-compare').addEventListener('click', () => window.print());
+    document.getElementById('share-compare').addEventListener('click', async (e) => {
+        try {
+            await navigator.clipboard.writeText(window.location.href);
+            e.target.textContent = 'Link Copied';
+        } catch (error) {
+            e.target.textContent = 'Copy the address bar';
+        }
+        setTimeout(() => { e.target.textContent = 'Copy Link'; }, 2000);
+    });
+
+    updateComparison();
+}
+
+/**
+ * Marks the best and worst cells of a numeric row. Nulls are ignored, and
+ * nothing is marked unless at least two bikes have different values.
+ * @param {Array<number|null>} values The row's values, one per bike.
+ * @param {string} better 'higher' or 'lower'.
+ * @returns {Array<string>} A class name per cell: 'best', 'worst' or ''.
+ */
+function rankCells(values, better) {
+    const known = values.filter(v => v !== null && v !== undefined);
+    if (new Set(known).size < 2) return values.map(() => '');
+    const best = better === 'lower' ? Math.min(...known) : Math.max(...known);
+    const worst = better === 'lower' ? Math.max(...known) : Math.min(...known);
+    return values.map(v => v === best ? 'best' : v === worst ? 'worst' : '');
+}
+
+/**
+ * Returns the bikes in the compare tray that exist in the database, in tray order.
+ * @returns {Array<object>} The bikes.
+ */
+function getCompareBikes() {
+    return getCompareList().map(id => motorcycles.find(m => m.id === id)).filter(Boolean);
+}
+
+function updateComparison() {
+    const selectedBikes = getCompareBikes();
+
+    // Keep the URL shareable
+    const url = `${window.location.pathname}${selectedBikes.length > 0 ? `?bikes=${selectedBikes.map(b => encodeURIComponent(b.id)).join(',')}` : ''}`;
+    window.history.replaceState(null, '', url);
+
+    document.getElementById('compare-chips').innerHTML = html`${selectedBikes.map(bike => html`
+        <span class="compare-chip">
+            ${bike.brand} ${bike.model} (${bike.year})
+            <button type="button" data-action="remove-compare" data-bike-id="${bike.id}" aria-label="Remove ${bike.brand} ${bike.model}">×</button>
+        </span>
+    `)}`;
+
+    if (selectedBikes.length === 0) {
+        document.getElementById('compare-result').innerHTML = html`<div class="empty-state"><h3>Select one or more bikes to compare their specifications.</h3></div>`;
+        return;
+    }
+
+    const diffOnly = document.getElementById('diff-only').checked && selectedBikes.length > 1;
+    const headers = selectedBikes.map(b => html`<th><a href="bike.html?id=${encodeURIComponent(b.id)}">${b.brand} ${b.model}</a></th>`);
+
+    const rows = COMPARE_ROWS.map(row => {
+        const values = row.value ? selectedBikes.map(row.value) : null;
+        if (diffOnly && values && new Set(values.map(v => JSON.stringify(v ?? null))).size === 1) {
+            return '';
+        }
+        const classes = row.better ? rankCells(values, row.better) : selectedBikes.map(() => '');
+        const cells = selectedBikes.map((b, i) => {
+            const content = row.render ? row.render(b) : formatSpec(row.value(b));
+            const title = row.title ? row.title(b) : '';
+            return html`<td${classes[i] && html` class="${classes[i]}"`}${title && html` title="${title}"`}>${content}</td>`;
+        });
+        return html`<tr><td><strong>${row.label}</strong></td>${cells}</tr>`;
+    });
+
+    const table = html`
+        <div class="compare-table-wrapper">
+            <table class="compare-table">
+                <thead>
+                    <tr><th>Specification</th>${headers}</tr>
+                </thead>
+                <tbody>
+                    ${rows}
+                </tbody>
+            </table>
+        </div>
+    `;
+
+    document.getElementById('compare-result').innerHTML = table;
+}
+
+// --- TOP LISTS PAGE FUNCTIONS ---
+//
+// Every list ranks the bikes of the segment picked at the top of the page:
+// `?segment=tag:Sport`, `cc:300-500` or `status:in-production`. The custom
+// ranking adds `metric`, `order` (asc/desc) and `limit`, so each list has a URL
+// of its own (the query plus the list's #id).
+
+// The bikes each top list ranked, keyed by its element ID (used by the export buttons)
+const topListResults = {};
+
+// The curated lists on top_lists.html, in page order
+const TOP_LISTS = [
+    { id: 'top-power', title: 'Most Powerful Motorcycles', metric: 'horsepower' },
+    { id: 'top-speed', title: 'Fastest Motorcycles', metric: 'top_speed' },
+    { id: 'top-mileage', title: 'Most Fuel Efficient', metric: 'mileage_kmpl' },
+    { id: 'top-expensive', title: 'Most Expensive Motorcycles', metric: 'price_original_inr' },
+    { id: 'top-affordable', title: 'Most Affordable Motorcycles', metric: 'price_original_inr', descending: false },
+    { id: 'top-power-to-weight', title: 'Best Power-to-Weight', metric: 'power_to_weight' },
+    { id: 'top-torque-to-weight', title: 'Best Torque-to-Weight', metric: 'torque_to_weight' },
+    { id: 'top-specific-output', title: 'Highest Specific Output', metric: 'hp_per_litre' },
+    { id: 'top-value', title: 'Cheapest Horsepower', metric: 'price_per_hp', descending: false }
+];
+
+// What a list can rank by: spec keys and DERIVED_METRICS keys (as read by
+// getSortValue()), with the end that's better and how to show the value
+const RANKING_METRICS = {
+    horsepower: { label: 'Horsepower', better: 'higher', format: m => formatSpec(m.specs.horsepower, ' HP') },
+    torque: { label: 'Torque', better: 'higher', format: m => formatMeasure(m.specs.torque, 'torque') },
+    top_speed: { label: 'Top Speed', better: 'higher', format: m => formatMeasure(m.specs.top_speed, 'speed') },
+    mileage_kmpl: { label: 'Mileage', better: 'higher', format: m => formatMeasure(m.specs.mileage_kmpl, 'mileage') },
+    price_original_inr: { label: 'Price', better: 'lower', format: m => formatPrice(m.specs.price_original_inr) },
+    weight: { label: 'Weight', better: 'lower', format: m => formatMeasure(m.specs.weight, 'weight') },
+    cc: { label: 'Displacement', better: 'higher', format: m => formatSpec(m.specs.cc, 'cc') },
+    ...Object.fromEntries(Object.entries(DERIVED_METRICS).map(([key, metric]) => [
+        key, { label: metric.label, better: metric.better, format: m => formatMetric(m, key) }
+    ]))
+};
+
+// The kinds of segment, keyed by the prefix of their `segment` value
+const SEGMENT_TYPES = {
+    tag: {
+        group: 'Category',
+        isValid: value => value !== '',
+        label: value => value,
+        matches: (bike, value) => bike.tags.includes(value)
+    },
+    cc: {
+        group: 'Engine Class',
+        isValid: value => CC_CLASSES.some(({ range }) => range === value),
+        label: value => `${CC_CLASSES.find(({ range }) => range === value).label}cc`,
+        matches: (bike, value) => bike.specs.cc !== null && matchesCcRange(bike.specs.cc, value)
+    },
+    status: {
+        group: 'Status',
+        isValid: value => value !== '',
+        label: value => LIST_FACETS.find(facet => facet.key === 'status').optionLabel(value),
+        matches: (bike, value) => statusCategories(bike).includes(value)
+    }
+};
+
+// Tags on fewer bikes aren't offered as segments (a link to one still works)
+const MIN_SEGMENT_SIZE = 3;
+
+// Lengths offered for the custom ranking
+const TOP_LIST_LENGTHS = [5, 10, 25, 50];
+const DEFAULT_TOP_LIST_LENGTH = 10;
+
+// What top_lists.html shows, read from and kept in its URL (see topListsViewFromQuery())
+let topListsView = null;
+
+async function loadTopListsPage() {
+    const skeletons = Object.fromEntries(['custom-list', ...TOP_LISTS.map(list => list.id)].map(id => [id, 'list']));
+    if (!await loadPageData(loadTopListsPage, skeletons)) return;
+
+    topListsView = topListsViewFromQuery(window.location.search);
+
+    const segmentSelect = document.getElementById('segment-select');
+    const metricSelect = document.getElementById('metric-select');
+    const orderSelect = document.getElementById('order-select');
+    const lengthSelect = document.getElementById('length-select');
+    segmentSelect.innerHTML = html`
+        <option value="">All Motorcycles (${motorcycles.length})</option>
+        ${listSegments(motorcycles, topListsView.segment).map(({ group, options }) => html`
+            <optgroup label="${group}">
+                ${options.map(({ value, label, count }) => html`<option value="${value}">${label} (${count})</option>`)}
+            </optgroup>
+        `)}
+    `;
+    metricSelect.innerHTML = html`
+        <option value="">Choose a spec...</option>
+        ${Object.entries(RANKING_METRICS).map(([key, metric]) => html`<option value="${key}">${metric.label}</option>`)}
+    `;
+    lengthSelect.innerHTML = html`${TOP_LIST_LENGTHS.map(length => html`<option value="${length}">Top ${length}</option>`)}`;
+
+    const showView = () => {
+        segmentSelect.value = topListsView.segment;
+        metricSelect.value = topListsView.metric;
+        orderSelect.value = topListsView.descending ? 'desc' : 'asc';
+        lengthSelect.value = String(topListsView.limit);
+        orderSelect.disabled = topListsView.metric === '';
+        lengthSelect.disabled = topListsView.metric === '';
+        renderTopLists();
+    };
+    const update = (changes) => {
+        Object.assign(topListsView, changes);
+        const url = `${window.location.pathname}${topListsViewToQuery(topListsView)}${window.location.hash}`;
+        window.history.replaceState(null, '', url);
+        showView();
+    };
+    segmentSelect.addEventListener('change', () => update({ segment: segmentSelect.value }));
+    // A new spec starts with its better end first
+    metricSelect.addEventListener('change', () => update({
+        metric: metricSelect.value,
+        descending: RANKING_METRICS[metricSelect.value]?.better !== 'lower'
+    }));
+    orderSelect.addEventListener('change', () => update({ descending: orderSelect.value === 'desc' }));
+    lengthSelect.addEventListener('change', () => update({ limit: Number(lengthSelect.value) }));
+    showView();
+
+    // The lists didn't exist yet when the browser looked for the #id of a shared link
+    if (window.location.hash) scrollToSection(decodeURIComponent(window.location.hash.slice(1)));
+}
+
+/**
+ * Reads the top lists view from top_lists.html's query string. Values that
+ * aren't valid fall back to the defaults.
+ * @param {string} search The query string.
+ * @returns {{segment: string, metric: string, descending: boolean, limit: number}} The
+ *   segment ('' for all bikes), the custom ranking's metric ('' for none), its order and length.
+ */
+function topListsViewFromQuery(search) {
+    const params = new URLSearchParams(search);
+    const segment = cleanQueryValue(params.get('segment'));
+    const metric = cleanQueryValue(params.get('metric'));
+    const order = cleanQueryValue(params.get('order'));
+    const limit = Number(cleanQueryValue(params.get('limit')));
+    const known = Object.hasOwn(RANKING_METRICS, metric);
+    return {
+        segment: parseSegment(segment) ? segment : '',
+        metric: known ? metric : '',
+        descending: order === 'asc' || order === 'desc' ? order === 'desc' : !known || RANKING_METRICS[metric].better !== 'lower',
+        limit: TOP_LIST_LENGTHS.includes(limit) ? limit : DEFAULT_TOP_LIST_LENGTH
+    };
+}
+
+/**
+ * Builds the query string for a top lists view (the inverse of topListsViewFromQuery()).
+ * @param {object} view The view.
+ * @param {boolean} [custom] Include the custom ranking; without it the query only names the segment.
+ * @returns {string} The query string, including '?', or '' for the default view.
+ */
+function topListsViewToQuery(view, custom = true) {
+    const params = new URLSearchParams();
+    if (view.segment) params.set('segment', view.segment);
+    if (custom && view.metric) {
+        params.set('metric', view.metric);
+        params.set('order', view.descending ? 'desc' : 'asc');
+        if (view.limit !== DEFAULT_TOP_LIST_LENGTH) params.set('limit', view.limit);
+    }
+    const query = params.toString();
+    return query ? `?${query}` : '';
+}
+
+/**
+ * Parses a segment value such as 'tag:Sport', 'cc:300-500' or 'status:banned'.
+ * @param {string} value The segment.
+ * @returns {{type: string, value: string, label: string, matches: function(object): boolean}|null}
+ *   The segment with a test for its bikes, or null if the value isn't a valid segment.
+ */
+function parseSegment(value) {
+    const split = value.indexOf(':');
+    const type = value.slice(0, split);
+    const rest = value.slice(split + 1);
+    if (split < 0 || !Object.hasOwn(SEGMENT_TYPES, type) || !SEGMENT_TYPES[type].isValid(rest)) return null;
+    const segmentType = SEGMENT_TYPES[type];
+    return { type, value: rest, label: segmentType.label(rest), matches: bike => segmentType.matches(bike, rest) };
+}
+
+/**
+ * Lists the segments to offer, grouped by kind: tags with at least
+ * MIN_SEGMENT_SIZE bikes (most common first), engine classes and statuses with any bikes.
+ * @param {Array<object>} bikes The bikes.
+ * @param {string} [current] A segment to list even if it's rare (the one from the URL).
+ * @returns {Array<{group: string, options: Array<{value: string, label: string, count: number}>}>} The groups.
+ */
+function listSegments(bikes, current = '') {
+    const option = value => {
+        const segment = parseSegment(value);
+        return { value, label: segment.label, count: bikes.filter(segment.matches).length };
+    };
+    const tags = [...new Set(bikes.flatMap(bike => bike.tags))].map(tag => option(`tag:${tag}`))
+        .filter(entry => entry.count >= MIN_SEGMENT_SIZE || entry.value === current)
+        .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+    const classes = CC_CLASSES.map(({ range }) => option(`cc:${range}`));
+    const statuses = [...new Set(bikes.flatMap(statusCategories))].sort(LIST_FACETS.find(facet => facet.key === 'status').order)
+        .map(category => option(`status:${category}`));
+    return [
+        { group: SEGMENT_TYPES.tag.group, options: tags },
+        { group: SEGMENT_TYPES.cc.group, options: classes.filter(entry => entry.count > 0 || entry.value === current) },
+        { group: SEGMENT_TYPES.status.group, options: statuses }
+    ].filter(group => group.options.length > 0);
+}
+
+/**
+ * Renders every list for the current view: the curated lists and the custom ranking.
+ */
+function renderTopLists() {
+    const segment = parseSegment(topListsView.segment);
+    const bikes = segment ? motorcycles.filter(segment.matches) : motorcycles;
+    document.getElementById('segment-summary').textContent = segment
+        ? `Ranking the ${bikes.length} ${segment.label} motorcycles (${SEGMENT_TYPES[segment.type].group})`
+        : `Ranking all ${motorcycles.length} motorcycles`;
+
+    TOP_LISTS.forEach(list => {
+        renderTopList(list.id, list.title, list.metric, RANKING_METRICS[list.metric].format, list.descending ?? true, bikes);
+    });
+
+    const { metric, descending, limit } = topListsView;
+    if (metric === '') {
+        delete topListResults['custom-list'];
+        document.getElementById('custom-list').innerHTML = html`<p class="empty-state">Choose a spec or derived metric to rank by.</p>`;
+        return;
+    }
+    const title = `${descending ? 'Highest' : 'Lowest'} ${RANKING_METRICS[metric].label}`;
+    renderTopList('custom-list', title, metric, RANKING_METRICS[metric].format, descending, bikes, limit);
+}
+
+/**
+ * Ranks bikes by a spec or derived metric. Bikes without a value are left out.
+ * @param {Array<object>} bikes The bikes to rank.
+ * @param {string} sortKey A spec key (e.g. 'horsepower') or a key of DERIVED_METRICS.
+ * @param {boolean} [descending] Rank highest first.
+ * @param {number} [limit] How many bikes to keep.
+ * @returns {Array<object>} The top `limit` bikes, best first.
+ */
+function rankBikes(bikes, sortKey, descending = true, limit = 10) {
+    return bikes
+        .filter(m => getSortValue(m, sortKey) !== null) // Ensure we don't sort items with null values for the key
+        .sort((a, b) => {
+            const aVal = getSortValue(a, sortKey);
+            const bVal = getSortValue(b, sortKey);
+            return descending ? bVal - aVal : aVal - bVal;
+        })
+        .slice(0, limit);
+}
+
+/**
+ * Returns the link to a list on top_lists.html with the current view.
+ * @param {string} elementId The ID of the list section.
+ * @returns {string} The URL.
+ */
+function topListURL(elementId) {
+    const custom = elementId === 'custom-list';
+    return `top_lists.html${topListsViewToQuery(topListsView, custom)}#${custom ? 'custom-ranking' : elementId}`;
+}
+
+/**
+ * Renders a ranking into a list section.
+ * @param {string} elementId The ID of the section element.
+ * @param {string} title The list heading.
+ * @param {string} sortKey A spec key (e.g. 'horsepower') or a key of DERIVED_METRICS.
+ * @param {function} valueFormatter Formats the ranked value of a bike.
+ * @param {boolean} descending Rank highest first.
+ * @param {Array} data The bikes to rank.
+ * @param {number} limit How many bikes to list.
+ */
+function renderTopList(elementId, title, sortKey, valueFormatter, descending = true, data = motorcycles, limit = 10) {
+    const sorted = rankBikes(data, sortKey, descending, limit);
+    topListResults[elementId] = { sortKey, bikes: sorted };
+    const segment = topListsView && parseSegment(topListsView.segment);
+
+    document.getElementById(elementId).innerHTML = html`
+        <div class="list-header">
+            <h2>${title}${segment && html` <span class="list-segment">${segment.label}</span>`}</h2>
+            <div class="export-actions">
+                <a href="${topListURL(elementId)}" class="btn btn-secondary" title="Link to this list">Link</a>
+                <button type="button" class="btn btn-secondary" data-action="export-top-list" data-list="${elementId}" data-format="csv">CSV</button>
+                <button type="button" class="btn btn-secondary" data-action="export-top-list" data-list="${elementId}" data-format="json">JSON</button>
+            </div>
+        </div>
+        ${sorted.length === 0 && html`<p class="empty-state">No motorcycles in this segment have a ${RANKING_METRICS[sortKey].label} figure.</p>`}
+        <div class="ranked-list">
+            ${sorted.map((bike, index) => html`
+                <div class="ranked-item" data-href="bike.html?id=${encodeURIComponent(bike.id)}">
+                    <div class="rank-number">${index + 1}</div>
+                    ${createBikeImage(bike, { loading: 'lazy' })}
+                    <div class="ranked-info">
+                        <h4>${bike.model}</h4>
+                        <div class="brand">${bike.brand} • ${bike.year}</div>
+                        ${createGarageBadges(bike.id)}
+                    </div>
+                    <div class="ranked-value">${valueFormatter(bike)}</div>
+                </div>
+            `)}
+        </div>
+    `;
+}
+
+/**
+ * Exports a rendered top list with its rank and ranked value as leading columns.
+ * @param {string} elementId The ID of the list section.
+ * @param {string} format 'csv' or 'json'.
+ */
+function exportTopList(elementId, format) {
+    const { sortKey, bikes } = topListResults[elementId];
+    exportBikes(bikes, format, elementId, (bike, index) => ({ rank: index + 1, ranked_value: getSortValue(bike, sortKey) }));
+}
+
+// --- ANALYTICS PAGE FUNCTIONS ---
+//
+// Charts are plain SVG built with the html`` tag. Every mark carries a
+// data-readout text, shown under its chart on hover or focus, and marks that
+// stand for bikes or brands are links to their pages.
+
+// Size of each chart's coordinate system; the SVG scales to its container
+const CHART_WIDTH = 640;
+const CHART_HEIGHT = 360;
+const CHART_MARGIN = { top: 20, right: 20, bottom: 50, left: 60 };
+
+// Brands drawn in the brand chart; the rest are summed up in one "Other" bar
+const BRAND_CHART_LIMIT = 12;
+
+async function loadAnalyticsPage() {
+    const loaded = await loadPageData(loadAnalyticsPage, {
+        'analytics-summary': 'none',
+        'chart-power-weight': 'chart',
+        'chart-power-year': 'chart',
+        'chart-cc': 'chart',
+        'chart-brands': 'chart'
+    });
+    if (!loaded) return;
+
+    // The charts show what bikes.html would list for the same query string
+    currentFilters = filtersFromQuery(window.location.search);
+    const { bikes } = filterBikes(motorcycles, currentFilters);
+
+    renderAnalyticsSummary(bikes);
+    document.getElementById('chart-power-weight').innerHTML = renderPowerWeightChart(bikes);
+    document.getElementById('chart-power-year').innerHTML = renderPowerYearChart(bikes);
+    document.getElementById('chart-cc').innerHTML = renderCcChart(bikes);
+    document.getElementById('chart-brands').innerHTML = renderBrandChart(bikes);
+    initChartReadouts(document.getElementById('analytics-charts'));
+}
+
+/**
+ * Shows how many bikes the charts cover and which filters apply, with a link
+ * to change them on bikes.html.
+ * @param {Array<object>} bikes The charted bikes.
+ */
+function renderAnalyticsSummary(bikes) {
+    const filters = describeFilters(currentFilters);
+    document.getElementById('analytics-summary').innerHTML = html`
+        <p>Charting ${bikes.length} of ${motorcycles.length} motorcycles${filters.length === 0 && ' (no filters)'}</p>
+        ${filters.length > 0 && html`<ul class="filter-summary">${filters.map(text => html`<li>${text}</li>`)}</ul>`}
+        <div class="export-actions">
+            <a href="bikes.html${filtersToQuery(currentFilters)}" class="btn btn-secondary">${filters.length > 0 ? 'Change Filters' : 'Filter in Browse Bikes'}</a>
+            ${filters.length > 0 && html`<a href="analytics.html" class="btn btn-secondary">Clear Filters</a>`}
+        </div>
+    `;
+}
+
+/**
+ * Describes the active filters in words, e.g. 'Engine: 1000cc+'.
+ * @param {object} filters A filters object (see DEFAULT_FILTERS).
+ * @returns {Array<string>} One line per active filter; empty with no filters.
+ */
+function describeFilters(filters) {
+    const lines = [];
+    if (filters.search) lines.push(`Search: "${filters.search}"`);
+    for (const facet of LIST_FACETS) {
+        if (filters[facet.key].length > 0) lines.push(`${facet.label}: ${filters[facet.key].map(facet.optionLabel).join(', ')}`);
+    }
+    if (filters.cc) {
+        lines.push(`Engine: ${filters.cc.endsWith('+') ? `${filters.cc.slice(0, -1)}cc+` : `${filters.cc}cc`}`);
+    }
+    for (const facet of RANGE_FACETS) {
+        const min = rangeToDisplay(facet, filters[`${facet.key}_min`]);
+        const max = rangeToDisplay(facet, filters[`${facet.key}_max`]);
+        if (min === '' && max === '') continue;
+        const bounds = min === '' ? `up to ${max}` : max === '' ? `${min} and up` : `${min}–${max}`;
+        lines.push(`${rangeFacetLabel(facet)}: ${bounds}`);
+    }
+    if (filters.unknown) lines.push('Bikes with unknown values included');
+    return lines;
+}
+
+/**
+ * Wires up the hover/focus readout of every chart in a container: the
+ * data-readout text of the mark under the pointer is shown under its chart.
+ * @param {Element} container The element holding the charts.
+ */
+function initChartReadouts(container) {
+    const show = (e) => {
+        const mark = e.target.closest('[data-readout]');
+        if (!mark) return;
+        container.querySelectorAll('.chart-mark.active').forEach(other => other.classList.remove('active'));
+        mark.classList.add('active');
+        mark.closest('.chart').querySelector('.chart-readout').textContent = mark.getAttribute('data-readout');
+    };
+    container.addEventListener('mouseover', show);
+    container.addEventListener('focusin', show);
+}
+
+/**
+ * Picks round axis ticks covering a range, e.g. 0, 50, 100, 150 for 3-140.
+ * @param {number} min The smallest value to cover.
+ * @param {number} max The largest value to cover.
+ * @param {number} [count] Roughly how many intervals to use.
+ * @returns {{min: number, max: number, ticks: Array<number>}} The axis bounds (on a
+ *   tick) and every tick from min to max.
+ */
+function niceTicks(min, max, count = 5) {
+    if (min === max) {
+        min -= 1;
+        max += 1;
+    }
+    const rough = (max - min) / count;
+    const magnitude = 10 ** Math.floor(Math.log10(rough));
+    const step = [1, 2, 5, 10].map(m => m * magnitude).find(s => s >= rough);
+    const start = Math.floor(min / step) * step;
+    const end = Math.ceil(max / step) * step;
+    const ticks = [];
+    for (let i = 0; start + i * step <= end + step / 2; i++) {
+        ticks.push(Number((start + i * step).toFixed(10)));
+    }
+    return { min: start, max: end, ticks };
+}
+
+/**
+ * Builds a function mapping a value range onto a pixel range.
+ * @param {number} domainMin The value at rangeMin.
+ * @param {number} domainMax The value at rangeMax.
+ * @param {number} rangeMin The first pixel.
+ * @param {number} rangeMax The last pixel.
+ * @returns {function(number): number} The scale.
+ */
+function linearScale(domainMin, domainMax, rangeMin, rangeMax) {
+    const span = domainMax - domainMin || 1;
+    return value => rangeMin + (value - domainMin) / span * (rangeMax - rangeMin);
+}
+
+/**
+ * Lists the bikes the power vs. weight chart can place.
+ * @param {Array<object>} bikes The bikes to chart.
+ * @returns {Array<object>} The bikes with both a horsepower and a weight figure.
+ */
+function powerWeightPoints(bikes) {
+    return bikes.filter(bike => bike.specs.horsepower !== null && bike.specs.weight !== null);
+}
+
+/**
+ * Sums up horsepower per model year.
+ * @param {Array<object>} bikes The bikes to chart.
+ * @returns {Array<{year: number, average: number, count: number, top: object}>} One entry
+ *   per year with a horsepower figure, oldest first: the average, how many bikes it
+ *   covers, and the most powerful of them.
+ */
+function powerByYear(bikes) {
+    const byYear = new Map();
+    bikes.filter(bike => bike.specs.horsepower !== null).forEach(bike => {
+        if (!byYear.has(bike.year)) byYear.set(bike.year, []);
+        byYear.get(bike.year).push(bike);
+    });
+    return [...byYear.keys()].sort((a, b) => a - b).map(year => {
+        const yearBikes = byYear.get(year);
+        return {
+            year,
+            average: yearBikes.reduce((sum, bike) => sum + bike.specs.horsepower, 0) / yearBikes.length,
+            count: yearBikes.length,
+            top: rankBikes(yearBikes, 'horsepower', true, 1)[0]
+        };
+    });
+}
+
+/**
+ * Counts bikes per displacement bucket. The filter's ranges share their end
+ * points, so a bike on a boundary (e.g. exactly 1000cc) goes in the first bucket
+ * that takes it. Bikes without a displacement figure aren't counted.
+ * @param {Array<object>} bikes The bikes to count.
+ * @returns {Array<{range: string, label: string, count: number}>} The buckets of CC_CLASSES.
+ */
+function ccHistogram(bikes) {
+    const counts = CC_CLASSES.map(bin => ({ ...bin, count: 0 }));
+    bikes.filter(bike => bike.specs.cc !== null).forEach(bike => {
+        const bin = counts.find(({ range }) => matchesCcRange(bike.specs.cc, range));
+        if (bin) bin.count++;
+    });
+    return counts;
+}
+
+/**
+ * Counts bikes per brand, split by production status.
+ * @param {Array<object>} bikes The bikes to count.
+ * @param {number} [limit] How many brands to list before summing up the rest.
+ * @returns {Array<{brand: (string|null), label: string, count: number, statuses: Array<object>}>}
+ *   The brands with most models first, then an "Other" entry (brand null) for the
+ *   rest if there are more than `limit`. `statuses` is as in computeBrandStats().
+ */
+function brandBreakdown(bikes, limit = BRAND_CHART_LIMIT) {
+    const brands = countBikesByBrand(bikes).sort(BRAND_SORTS.count);
+    const entry = (brand, label, brandBikes) => ({ brand, label, count: brandBikes.length, statuses: computeBrandStats(brandBikes).statuses });
+    const shown = brands.slice(0, limit).map(({ brand }) => entry(brand, brand, bikes.filter(bike => bike.brand === brand)));
+
+    const rest = brands.slice(limit).map(({ brand }) => brand);
+    if (rest.length > 0) {
+        shown.push(entry(null, `Other (${rest.length} ${rest.length === 1 ? 'brand' : 'brands'})`, bikes.filter(bike => rest.includes(bike.brand))));
+    }
+    return shown;
+}
+
+/**
+ * Wraps chart marks in an SVG with axes, gridlines and a readout line.
+ * @param {object} chart
+ * @param {string} chart.label Accessible description of the chart.
+ * @param {SafeHTML} chart.marks The plotted marks.
+ * @param {Array<{position: number, label: string}>} chart.xTicks Ticks along the x axis.
+ * @param {Array<{position: number, label: string}>} chart.yTicks Ticks along the y axis.
+ * @param {string} chart.xLabel The x axis title.
+ * @param {string} chart.yLabel The y axis title.
+ * @param {number} [chart.height] The SVG height.
+ * @param {object} [chart.margin] The plot margins.
+ * @param {SafeHTML} [chart.legend] Markup shown under the chart.
+ * @returns {SafeHTML} The chart markup.
+ */
+function renderChart({ label, marks, xTicks, yTicks, xLabel, yLabel, height = CHART_HEIGHT, margin = CHART_MARGIN, legend = null }) {
+    const bottom = height - margin.bottom;
+    const right = CHART_WIDTH - margin.right;
+    return html`
+        <svg viewBox="0 0 ${CHART_WIDTH} ${height}" role="img" aria-label="${label}">
+            <g class="chart-grid">
+                ${yTicks.map(tick => html`<line x1="${margin.left}" x2="${right}" y1="${tick.position}" y2="${tick.position}"></line>`)}
+            </g>
+            <g class="chart-axis">
+                <line x1="${margin.left}" x2="${right}" y1="${bottom}" y2="${bottom}"></line>
+                <line x1="${margin.left}" x2="${margin.left}" y1="${margin.top}" y2="${bottom}"></line>
+                ${xTicks.map(tick => html`<text x="${tick.position}" y="${bottom + 18}" text-anchor="middle">${tick.label}</text>`)}
+                ${yTicks.map(tick => html`<text x="${margin.left - 8}" y="${tick.position + 4}" text-anchor="end">${tick.label}</text>`)}
+                <text class="chart-axis-title" x="${(margin.left + right) / 2}" y="${height - 8}" text-anchor="middle">${xLabel}</text>
+                <text class="chart-axis-title" transform="rotate(-90)" x="${-(margin.top + bottom) / 2}" y="14" text-anchor="middle">${yLabel}</text>
+            </g>
+            ${marks}
+        </svg>
+        ${legend}
+        <p class="chart-readout" aria-live="polite">Hover over or tab to a point for details.</p>
+    `;
+}
+
+/**
+ * Renders the message shown instead of a chart with nothing to plot.
+ * @param {string} message What's missing.
+ * @returns {SafeHTML} The markup.
+ */
+function renderEmptyChart(message) {
+    return html`<p class="empty-state">${message}</p>`;
+}
+
+/**
+ * Renders a legend of production status colors.
+ * @param {Array<object>} bikes The charted bikes (only their statuses are listed).
+ * @returns {SafeHTML} The legend.
+ */
+function renderStatusLegend(bikes) {
+    return html`
+        <ul class="status-share-legend chart-legend">
+            ${computeBrandStats(bikes).statuses.map(s => html`<li><span class="swatch status-${s.category}"></span>${s.label}</li>`)}
+        </ul>
+    `;
+}
+
+/**
+ * Renders the power vs. weight scatter plot; each point links to its bike.
+ * @param {Array<object>} bikes The bikes to chart.
+ * @returns {SafeHTML} The chart.
+ */
+function renderPowerWeightChart(bikes) {
+    const points = powerWeightPoints(bikes);
+    if (points.length === 0) return renderEmptyChart('None of these bikes has both a power and a weight figure.');
+
+    const { factor, unit } = getDisplayUnit('weight');
+    const weights = points.map(bike => bike.specs.weight * factor);
+    const xAxis = niceTicks(Math.min(...weights), Math.max(...weights));
+    const yAxis = niceTicks(0, Math.max(...points.map(bike => bike.specs.horsepower)));
+    const x = linearScale(xAxis.min, xAxis.max, CHART_MARGIN.left, CHART_WIDTH - CHART_MARGIN.right);
+    const y = linearScale(yAxis.min, yAxis.max, CHART_HEIGHT - CHART_MARGIN.bottom, CHART_MARGIN.top);
+
+    return renderChart({
+        label: `Horsepower against weight for ${points.length} motorcycles`,
+        xLabel: `Weight (${unit.trim()})`,
+        yLabel: 'Horsepower',
+        xTicks: xAxis.ticks.map(tick => ({ position: x(tick), label: tick })),
+        yTicks: yAxis.ticks.map(tick => ({ position: y(tick), label: tick })),
+        legend: renderStatusLegend(points),
+        marks: html`${points.map(bike => {
+            const readout = `${bike.brand} ${bike.model} (${bike.year}): ${formatSpec(bike.specs.horsepower, ' HP')}, ${formatMeasure(bike.specs.weight, 'weight')}`;
+            return html`
+                <a href="bike.html?id=${encodeURIComponent(bike.id)}" class="chart-mark" data-readout="${readout}" aria-label="${readout}">
+                    <circle class="status-${parseStatus(bike).category}" cx="${x(bike.specs.weight * factor).toFixed(1)}" cy="${y(bike.specs.horsepower).toFixed(1)}" r="5"></circle>
+                </a>
+            `;
+        })}`
     });
-    document.getElementById('sort-select').addEventListener('change', (e) => {
-        currentFilters.sort = e.target.value;
-        applyFilters();
+}
+
+/**
+ * Renders horsepower by model year: the yearly average as a line, and the most
+ * powerful bike of each year as a point linking to it.
+ * @param {Array<object>} bikes The bikes to chart.
+ * @returns {SafeHTML} The chart.
+ */
+function renderPowerYearChart(bikes) {
+    const years = powerByYear(bikes);
+    if (years.length === 0) return renderEmptyChart('None of these bikes has a power figure.');
+
+    const xAxis = niceTicks(years[0].year, years[years.length - 1].year);
+    const yAxis = niceTicks(0, Math.max(...years.map(entry => entry.top.specs.horsepower)));
+    const x = linearScale(xAxis.min, xAxis.max, CHART_MARGIN.left, CHART_WIDTH - CHART_MARGIN.right);
+    const y = linearScale(yAxis.min, yAxis.max, CHART_HEIGHT - CHART_MARGIN.bottom, CHART_MARGIN.top);
+    const line = years.map(entry => `${x(entry.year).toFixed(1)},${y(entry.average).toFixed(1)}`).join(' ');
+
+    return renderChart({
+        label: `Average and highest horsepower per year, ${years[0].year} to ${years[years.length - 1].year}`,
+        xLabel: 'Model Year',
+        yLabel: 'Horsepower',
+        xTicks: xAxis.ticks.map(tick => ({ position: x(tick), label: tick })),
+        yTicks: yAxis.ticks.map(tick => ({ position: y(tick), label: tick })),
+        legend: html`
+            <ul class="status-share-legend chart-legend">
+                <li><span class="swatch chart-average"></span>Average</li>
+                <li><span class="swatch chart-top"></span>Most powerful (click to open)</li>
+            </ul>
+        `,
+        marks: html`
+            <polyline class="chart-line" points="${line}"></polyline>
+            ${years.map(entry => {
+                const average = `${entry.year}: average ${Math.round(entry.average)} HP over ${entry.count} ${entry.count === 1 ? 'bike' : 'bikes'}`;
+                const top = `${entry.year}: ${entry.top.brand} ${entry.top.model}, ${formatSpec(entry.top.specs.horsepower, ' HP')} (most powerful)`;
+                return html`
+                    <circle class="chart-mark chart-average" tabindex="0" data-readout="${average}" aria-label="${average}"
+                        cx="${x(entry.year).toFixed(1)}" cy="${y(entry.average).toFixed(1)}" r="4"></circle>
+                    <a href="bike.html?id=${encodeURIComponent(entry.top.id)}" class="chart-mark" data-readout="${top}" aria-label="${top}">
+                        <circle class="chart-top" cx="${x(entry.year).toFixed(1)}" cy="${y(entry.top.specs.horsepower).toFixed(1)}" r="5"></circle>
+                    </a>
+                `;
+            })}
+        `
     });
+}
 
-    applyFilters();
+/**
+ * Renders the displacement histogram; each bar opens bikes.html with its range
+ * added to the current filters.
+ * @param {Array<object>} bikes The bikes to chart.
+ * @returns {SafeHTML} The chart.
+ */
+function renderCcChart(bikes) {
+    if (bikes.length === 0) return renderEmptyChart('No bikes match the filters.');
+
+    const bins = ccHistogram(bikes);
+    const yAxis = niceTicks(0, Math.max(...bins.map(bin => bin.count)));
+    const y = linearScale(yAxis.min, yAxis.max, CHART_HEIGHT - CHART_MARGIN.bottom, CHART_MARGIN.top);
+    const slot = (CHART_WIDTH - CHART_MARGIN.left - CHART_MARGIN.right) / bins.length;
+    const center = i => CHART_MARGIN.left + slot * (i + 0.5);
+
+    return renderChart({
+        label: `Number of motorcycles per displacement range, ${bikes.length} in total`,
+        xLabel: 'Displacement (cc)',
+        yLabel: 'Motorcycles',
+        xTicks: bins.map((bin, i) => ({ position: center(i), label: bin.label })),
+        yTicks: yAxis.ticks.filter(Number.isInteger).map(tick => ({ position: y(tick), label: tick })),
+        marks: html`${bins.map((bin, i) => {
+            const readout = `${bin.label}cc: ${bin.count} ${bin.count === 1 ? 'bike' : 'bikes'}`;
+            const top = y(bin.count);
+            return html`
+                <a href="bikes.html${filtersToQuery({ ...currentFilters, cc: bin.range })}" class="chart-mark" data-readout="${readout}" aria-label="${readout}">
+                    <rect class="chart-bar" x="${(center(i) - slot * 0.4).toFixed(1)}" y="${top.toFixed(1)}" width="${(slot * 0.8).toFixed(1)}" height="${(CHART_HEIGHT - CHART_MARGIN.bottom - top).toFixed(1)}"></rect>
+                    ${bin.count > 0 && html`<text class="chart-value" x="${center(i).toFixed(1)}" y="${(top - 6).toFixed(1)}" text-anchor="middle">${bin.count}</text>`}
+                </a>
+            `;
+        })}`
+    });
 }
 
-function applyFilters() {
-    let filtered = motorcycles.filter(bike => {
-        // Search filter
-        if (currentFilters.search && 
-            !(bike.model.toLowerCase().includes(currentFilters.search) || 
-              bike.brand.toLowerCase().includes(currentFilters.search) ||
-              String(bike.year).includes(currentFilters.search))) {
-            return false;
-        }
-        // Brand filter
-        if (currentFilters.brand && bike.brand !== currentFilters.brand) return false;
-        // Status filter
-        if (currentFilters.status && bike.status !== currentFilters.status) return false;
-        // CC filter
-        if (currentFilters.cc) {
-            const cc = bike.specs.cc;
-            const [min, max] = currentFilters.cc.split('-').map(v => v === '+' ? Infinity : parseInt(v) || 0);
-            if (max && max !== Infinity) {
-                if (cc < min || cc > max) return false;
-            } else {
-                if (cc < min) return false;
-            }
-        }
-        return true;
+/**
+ * Renders the models per brand as bars split by production status; each bar
+ * links to the brand's page.
+ * @param {Array<object>} bikes The bikes to chart.
+ * @returns {SafeHTML} The chart.
+ */
+function renderBrandChart(bikes) {
+    if (bikes.length === 0) return renderEmptyChart('No bikes match the filters.');
+
+    const rows = brandBreakdown(bikes);
+    const margin = { ...CHART_MARGIN, left: 170 };
+    const rowHeight = 26;
+    const height = margin.top + margin.bottom + rows.length * rowHeight;
+    const xAxis = niceTicks(0, Math.max(...rows.map(row => row.count)));
+    const x = linearScale(xAxis.min, xAxis.max, margin.left, CHART_WIDTH - margin.right);
+
+    return renderChart({
+        label: `Number of motorcycles per brand for the ${rows.length} largest groups`,
+        xLabel: 'Motorcycles',
+        yLabel: '',
+        height,
+        margin,
+        xTicks: xAxis.ticks.filter(Number.isInteger).map(tick => ({ position: x(tick), label: tick })),
+        yTicks: [],
+        legend: renderStatusLegend(bikes),
+        marks: html`${rows.map((row, i) => {
+            const top = margin.top + i * rowHeight + 4;
+            const readout = `${row.label}: ${row.count} ${row.count === 1 ? 'model' : 'models'} (${row.statuses.map(s => `${s.count} ${s.label}`).join(', ')})`;
+            let start = 0;
+            const bar = html`
+                <text x="${margin.left - 8}" y="${top + 13}" text-anchor="end">${row.label}</text>
+                ${row.statuses.map(s => {
+                    const segment = html`<rect class="status-${s.category}" x="${x(start).toFixed(1)}" y="${top}" width="${(x(start + s.count) - x(start)).toFixed(1)}" height="${rowHeight - 8}"></rect>`;
+                    start += s.count;
+                    return segment;
+                })}
+            `;
+            return row.brand === null
+                ? html`<g class="chart-mark" tabindex="0" data-readout="${readout}" aria-label="${readout}">${bar}</g>`
+                : html`<a href="brand.html?brand=${encodeURIComponent(row.brand)}" class="chart-mark" data-readout="${readout}" aria-label="${readout}">${bar}</a>`;
+        })}`
     });
+}
 
-    // Sort with robust handling for null values
-    filtered.sort((a, b) => {
-        const specA = a.specs;
-        const specB = b.specs;
-        switch(currentFilters.sort) {
-            case 'brand': return a.brand.localeCompare(b.brand) || a.model.localeCompare(b.model);
-            // For price, treat nulls as highest (for asc) or lowest (for desc)
-            case 'price-asc': return (specA.price_original_inr ?? Infinity) - (specB.price_original_inr ?? Infinity);
-            case 'price-desc': return (specB.price_original_inr ?? -1) - (specA.price_original_inr ?? -1);
-            // For other specs, treat nulls as the lowest value
-            case 'power-desc': return (specB.horsepower ?? -1) - (specA.horsepower ?? -1);
-            case 'speed-desc': return (specB.top_speed ?? -1) - (specA.top_speed ?? -1);
-            case 'mileage-desc': return (specB.mileage_kmpl ?? -1) - (specA.mileage_kmpl ?? -1);
-            case 'cc-asc': return (specA.cc ?? 0) - (specB.cc ?? 0);
-            case 'cc-desc': return (specB.cc ?? 0) - (specA.cc ?? 0);
-            default: return 0;
+// --- GARAGE PAGE FUNCTIONS ---
+
+// The list and sort garage.html shows (null on other pages)
+let garageView = null;
+
+// How garage.html can order the garage
+const GARAGE_SORTS = {
+    updated: (a, b) => (b.entry.updated ?? '').localeCompare(a.entry.updated ?? ''),
+    rating: (a, b) => (b.entry.rating ?? 0) - (a.entry.rating ?? 0),
+    brand: (a, b) => a.bike.brand.localeCompare(b.bike.brand) || a.bike.model.localeCompare(b.bike.model)
+};
+
+async function loadGaragePage() {
+    if (!await loadPageData(loadGaragePage, { 'garage-bikes': 'cards' })) return;
+
+    // Restore the view from the URL; values the selects don't offer fall back to the first option
+    const params = new URLSearchParams(window.location.search);
+    const listSelect = document.getElementById('garage-list');
+    const sortSelect = document.getElementById('garage-sort');
+    listSelect.innerHTML = html`
+        <option value="all">Everything</option>
+        ${Object.entries(GARAGE_LISTS).map(([list, { label }]) => html`<option value="${list}">${label}</option>`)}
+    `;
+    for (const [param, select] of [['list', listSelect], ['sort', sortSelect]]) {
+        const value = cleanQueryValue(params.get(param));
+        if ([...select.options].some(option => option.value === value)) select.value = value;
+    }
+
+    const update = () => {
+        garageView = { list: listSelect.value, sort: sortSelect.value };
+        const query = new URLSearchParams();
+        if (listSelect.value !== listSelect.options[0].value) query.set('list', listSelect.value);
+        if (sortSelect.value !== sortSelect.options[0].value) query.set('sort', sortSelect.value);
+        const search = query.toString() ? `?${query}` : '';
+        if (search !== window.location.search) {
+            window.history.replaceState(null, '', `${window.location.pathname}${search}`);
         }
+        renderGarage();
+    };
+    listSelect.addEventListener('change', update);
+    sortSelect.addEventListener('change', update);
+
+    document.getElementById('garage-export').addEventListener('click', exportGarage);
+    const importInput = document.getElementById('garage-import');
+    importInput.addEventListener('change', async () => {
+        const file = importInput.files[0];
+        if (!file) return;
+        importGarage(await file.text(), file.name);
+        importInput.value = ''; // Let the same file be picked again
     });
 
-    document.getElementById('bikes-count').textContent = `Showing ${filtered.length} of ${motorcycles.length} motorcycles`;
-    document.getElementById('all-bikes').innerHTML = filtered.length > 0 
-        ? filtered.map(bike => createBikeCard(bike)).join('')
-        : '<p class="empty-state">No motorcycles match your criteria.</p>';
+    update();
 }
 
-// --- BRAND DETAIL PAGE FUNCTIONS ---
+/**
+ * Renders garage.html's bikes for the current list and sort, then the saved
+ * bikes that are no longer in the database.
+ */
+function renderGarage() {
+    const garage = getGarage();
+    const ids = Object.keys(garage);
+    const missing = ids.filter(id => !motorcycles.some(bike => bike.id === id));
+    const items = motorcycles
+        .filter(bike => Object.hasOwn(garage, bike.id))
+        .map(bike => ({ bike, entry: garage[bike.id] }))
+        .filter(({ entry }) => garageView.list === 'all' || entry.lists.includes(garageView.list))
+        .sort(GARAGE_SORTS[garageView.sort]);
 
-async function loadBrandPage() {
-    await loadDatabase();
-    
-    const urlParams = new URLSearchParams(window.location.search);
-    const brandName = decodeURIComponent(urlParams.get('brand'));
-    
-    const brandBikes = motorcycles.filter(m => m.brand === brandName);
-    
-    if (brandBikes.length === 0) {
-        document.getElementById('brand-name').textContent = "Brand Not Found";
-        document.getElementById('brand-count').textContent = "";
-        document.getElementById('brand-bikes').innerHTML = `<p>There are no models for the brand "${brandName}" in the database.</p>`;
-        return;
-    }
+    const total = ids.length - missing.length;
+    document.getElementById('garage-count').textContent = garageView.list === 'all'
+        ? `${total} ${total === 1 ? 'bike' : 'bikes'} in your garage`
+        : `Showing ${items.length} of ${total} bikes in your garage`;
 
-    document.getElementById('brand-name').textContent = brandName;
-    document.getElementById('brand-count').textContent = `${brandBikes.length} Models in Collection`;
-    document.getElementById('brand-bikes').innerHTML = brandBikes.map(bike => createBikeCard(bike)).join('');
+    let empty = 'Your garage is empty. Open any bike and use its My Garage buttons to add it.';
+    if (total > 0) empty = `Nothing on your ${GARAGE_LISTS[garageView.list]?.label} list yet.`;
+    document.getElementById('garage-bikes').innerHTML = items.length > 0
+        ? html`${items.map(({ bike, entry }) => createBikeCard(bike, null, entry.notes.length > 140 ? `${entry.notes.slice(0, 140)}…` : entry.notes))}`
+        : html`<p class="empty-state">${empty}</p>`;
+
+    // Kept rather than dropped, so a database update that renames an id doesn't lose notes silently
+    document.getElementById('garage-missing').innerHTML = missing.length === 0 ? '' : html`
+        <h2 style="font-size: 1.5rem; margin: 2rem 0 1rem;">No Longer in the Database</h2>
+        <ul class="garage-missing">
+            ${missing.map(id => html`
+                <li>
+                    <span>${id}</span>
+                    ${renderGarageBadges(garage[id])}
+                    <button type="button" class="btn btn-secondary" data-action="remove-garage" data-bike-id="${id}">Remove</button>
+                </li>
+            `)}
+        </ul>
+    `;
 }
 
-// --- BIKE DETAIL PAGE FUNCTIONS ---
+/**
+ * Shows a message about an import on garage.html.
+ * @param {string} text The message.
+ * @param {boolean} [error] Style it as an error.
+ */
+function showGarageMessage(text, error = false) {
+    const message = document.getElementById('garage-message');
+    message.textContent = text;
+    message.classList.toggle('error', error);
+    message.hidden = false;
+}
 
-async function loadBikeDetailPage() {
-    await loadDatabase();
-    
-    const urlParams = new URLSearchParams(window.location.search);
-    const bikeId = urlParams.get('id');
-    
-    // This now works because `motorcycles` is a flat array.
-    const bike = motorcycles.find(m => m.id === bikeId);
+function exportGarage() {
+    const filename = `my-garage-${new Date().toISOString().slice(0, 10)}.json`;
+    downloadFile(filename, JSON.stringify(garageToFile(getGarage()), null, 2), 'application/json');
+}
 
-    if (!bike) {
-        document.getElementById('bike-detail').innerHTML = '<p class="empty-state">Bike not found. It may have been removed or the ID is incorrect.</p>';
+/**
+ * Imports a garage file into this browser's garage and reports the result.
+ * @param {string} text The file's contents.
+ * @param {string} fileName The file's name, for the message.
+ */
+function importGarage(text, fileName) {
+    let imported;
+    try {
+        imported = parseGarageFile(text);
+    } catch (error) {
+        showGarageMessage(`Could not import ${fileName}: ${error.message}`, true);
         return;
     }
+    const { garage, applied, kept } = mergeGarages(getGarage(), imported.garage);
+    saveGarage(garage);
+    const unchanged = Object.keys(imported.garage).length - applied.length - kept.length;
+    const notes = [
+        kept.length > 0 ? `${kept.length} kept from this browser, which has newer changes` : '',
+        unchanged > 0 ? `${unchanged} already up to date` : '',
+        imported.skipped > 0 ? `${imported.skipped} invalid ${imported.skipped === 1 ? 'entry' : 'entries'} skipped` : ''
+    ].filter(Boolean);
+    showGarageMessage(`Imported ${applied.length} ${applied.length === 1 ? 'bike' : 'bikes'} from ${fileName}` +
+        (notes.length > 0 ? ` (${notes.join('; ')}).` : '.'));
+}
 
-    // Use the formatSpec helper for cleaner display of potentially null values
-    document.getElementById('bike-detail').innerHTML = `
-        <div class="detail-header">
-            <img src="${bike.imageURL}" alt="${bike.brand} ${bike.model}" class="detail-image">
-            <div class="detail-info">
-                <h1 class="chrome-text">${bike.model}</h1>
-                <a href="brand.html?brand=${encodeURIComponent(bike.brand)}" class="brand-link">${bike.brand} • ${bike.year}</a>
-                <div class="bike-tags" style="margin: 1rem 0;">
-                    ${bike.tags.map(tag => `<span class="tag">${tag}</span>`).join('')}
-                    <span class="tag status-${bike.status.toLowerCase().replace(' ', '-')}">${bike.status}</span>
-                </div>
-                <p style="font-size: 1.1rem; line-height: 1.8; margin: 1.5rem 0;">${bike.history}</p>
-                <div class="price" style="font-size: 2rem; margin-top: 1.5rem;">${formatPrice(bike.specs.price_original_inr)}</div>
-                <button class="btn" style="margin-top: 1.5rem;" onclick="addToCompare('${bike.id}')">Add to Compare</button>
-            </div>
-        </div>
+// --- ADMIN EDITOR PAGE FUNCTIONS ---
+//
+// admin.html edits a copy of database.json in the browser and downloads the
+// result; it's meant to be opened from a local dev server. Records are found by
+// id, so a record without one can't be opened (validate-db reports those).
 
-        <div class="detail-specs">
-            <div class="spec-box">
-                <div class="value">${formatSpec(bike.specs.horsepower, ' HP')}</div>
-                <div class="label">Horsepower</div>
-            </div>
-            <div class="spec-box">
-                <div class="value">${formatSpec(bike.specs.torque, ' Nm')}</div>
-                <div class="label">Torque</div>
-            </div>
-            <div class="spec-box">
-                <div class="value">${formatSpec(bike.specs.cc, 'cc')}</div>
-                <div class="label">Engine</div>
-            </div>
-            <div class="spec-box">
-                <div class="value">${formatSpec(bike.specs.top_speed, ' km/h')}</div>
-                <div class="label">Top Speed</div>
-            </div>
-            <div class="spec-box">
-                <div class="value">${formatSpec(bike.specs.mileage_kmpl, ' km/l')}</div>
-                <div class="label">Mileage</div>
-            </div>
-            <div class="spec-box">
-                <div class="value">${formatSpec(bike.specs.weight, ' kg')}</div>
-                <div class="label">Weight</div>
-            </div>
-        </div>
+// admin.html's working copy: the database as loaded, the edited database, the
+// edited database as last downloaded, and the id of the bike in the form (null
+// for a new bike). Edits replace `data` rather than changing it.
+let adminState = null;
 
-        <div class="color-variants">
-            <h3 style="font-size: 1.5rem; margin-bottom: 1rem;">Available Colors</h3>
-            <div class="color-list">
-                ${bike.color_variants.map(color => `<div class="color-item">${color}</div>`).join('')}
-            </div>
-        </div>
+// Form labels for fields whose key doesn't read well as one
+const ADMIN_FIELD_LABELS = {
+    id: 'ID',
+    imageURL: 'Image URL',
+    'production.units': 'Units Built',
+    'production.start_year': 'Production Start Year',
+    'production.end_year': 'Production End Year',
+    'production.banned_in': 'Banned In',
+    'specs.horsepower': 'Horsepower (hp)',
+    'specs.torque': 'Torque (Nm)',
+    'specs.mileage_kmpl': 'Mileage (km/l)',
+    'specs.top_speed': 'Top Speed (km/h)',
+    'specs.weight': 'Weight (kg)',
+    'specs.cc': 'Displacement (cc)',
+    'specs.price_original_inr': 'Original Price (INR)'
+};
 
-        <div style="margin-top: 2rem;">
-            <h3 style="font-size: 1.5rem; margin-bottom: 1rem;">Technical Specifications</h3>
-            <p style="font-size: 1.1rem; color: #bbb;">${bike.specs.engine}</p>
+/**
+ * Names a record field for the form and its messages.
+ * @param {string} path The field's path, e.g. 'specs.top_speed'.
+ * @returns {string} The label, e.g. 'Top Speed (km/h)'.
+ */
+function adminFieldLabel(path) {
+    return ADMIN_FIELD_LABELS[path] || path.split('.').pop().replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+}
+
+/**
+ * Creates the form control(s) for a schema field: a fieldset for an object,
+ * a select for a field with allowed values, a textarea for the history, and a
+ * text input otherwise (lists are comma-separated). Numbers use text inputs so
+ * a typo is reported by the schema check instead of being dropped silently.
+ * @param {string} path The field's path, used as the control's name.
+ * @param {object} field The schema field.
+ * @returns {SafeHTML} The markup.
+ */
+function renderAdminField(path, field) {
+    const label = adminFieldLabel(path);
+    if (field.type === 'object') {
+        return html`
+            <fieldset class="admin-fieldset">
+                <legend>${label}${field.required ? '' : ' (optional)'}</legend>
+                ${Object.entries(field.properties).map(([key, sub]) => renderAdminField(`${path}.${key}`, sub))}
+            </fieldset>
+        `;
+    }
+
+    const id = `admin-${path.replace(/\./g, '-')}`;
+    let control;
+    if (field.enum) {
+        control = html`<select id="${id}" name="${path}">${field.enum.map(value => html`<option value="${value}">${value}</option>`)}</select>`;
+    } else if (path === 'history') {
+        control = html`<textarea id="${id}" name="${path}" rows="6"></textarea>`;
+    } else {
+        const numeric = field.type === 'number' || field.type === 'integer';
+        control = html`<input type="text" id="${id}" name="${path}" autocomplete="off" ${numeric ? html`inputmode="decimal"` : ''}>`;
+    }
+    return html`
+        <div class="admin-field${path === 'history' ? ' admin-field-wide' : ''}">
+            <label for="${id}">${label}${field.required ? ' *' : ''}</label>
+            ${control}
+            ${field.type === 'array' ? html`<small>Separate with commas</small>` : ''}
+            ${path === 'id' ? html`<button type="button" id="admin-generate-id" class="btn btn-secondary">Generate from Brand, Model &amp; Year</button>` : ''}
         </div>
     `;
 }
 
-function addToCompare(bikeId) {
-    window.location.href = `compare.html?add=${bikeId}`;
+/**
+ * Reads a form control into a record value.
+ * @param {string} text The control's value.
+ * @param {object} field The schema field.
+ * @returns {any} The value: null for an empty number or optional text, [] for
+ *   an empty list, and text that isn't a number is kept as text.
+ */
+function readAdminValue(text, field) {
+    const value = text.trim();
+    if (field.type === 'array') return value.split(',').map(item => item.trim()).filter(Boolean);
+    if (field.type === 'number' || field.type === 'integer') {
+        if (value === '') return null;
+        return Number.isFinite(Number(value)) ? Number(value) : value;
+    }
+    return value === '' && field.nullable ? null : value;
 }
 
-// --- COMPARE PAGE FUNCTIONS ---
+/**
+ * Builds a bike record from the editor form. Fields the schema doesn't know
+ * are kept from `base`. Empty fields of an optional object (production,
+ * lineage) are left out unless `base` had them, and so is the whole object
+ * when nothing in it is filled in.
+ * @param {HTMLFormElement} form The editor form.
+ * @param {object} [base] The record being edited.
+ * @returns {object} The bike record.
+ */
+function bikeFromAdminForm(form, base = {}) {
+    const bike = JSON.parse(JSON.stringify(base));
+    const read = path => form.elements.namedItem(path).value;
 
-async function loadComparePage() {
-    await loadDatabase();
-    
-    // Sort bikes alphabetically for the dropdown
-    const sortedBikes = [...motorcycles].sort((a,b) => `${a.brand} ${a.model}`.localeCompare(`${b.brand} ${b.model}`));
-    
-    const options = '<option value="">Select a bike</option>' + 
-        sortedBikes.map(m => `<option value="${m.id}">${m.brand} ${m.model} (${m.year})</option>`).join('');
-    
-    for (let i = 1; i <= 4; i++) {
-        const selectElement = document.getElementById(`compare-bike-${i}`);
-        selectElement.innerHTML = options;
-        selectElement.addEventListener('change', updateComparison);
+    for (const [key, field] of Object.entries(BIKE_SCHEMA)) {
+        if (field.type !== 'object') {
+            bike[key] = readAdminValue(read(key), field);
+            continue;
+        }
+        const before = matchesType(base[key], 'object') ? base[key] : {};
+        const value = { ...before };
+        for (const [subkey, sub] of Object.entries(field.properties)) {
+            const item = readAdminValue(read(`${key}.${subkey}`), sub);
+            const empty = item === null || item === '' || (Array.isArray(item) && item.length === 0);
+            if (empty && !field.required && !Object.hasOwn(before, subkey)) {
+                delete value[subkey];
+            } else {
+                value[subkey] = item;
+            }
+        }
+        if (field.required || Object.keys(value).length > 0) {
+            bike[key] = value;
+        } else {
+            delete bike[key];
+        }
     }
+    return bike;
+}
+
+/**
+ * Fills the editor form from a record (an empty form for a new bike). A value
+ * a select doesn't offer, such as an old free-text status, is added to it.
+ * @param {HTMLFormElement} form The editor form.
+ * @param {object} bike The record.
+ */
+function fillAdminForm(form, bike) {
+    [...form.elements].filter(element => element.name).forEach(element => {
+        const value = element.name.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), bike);
+        const text = Array.isArray(value) ? value.join(', ') : (value ?? '');
+        if (element.tagName === 'SELECT' && text !== '' && ![...element.options].some(option => option.value === String(text))) {
+            element.add(new Option(String(text), String(text)));
+        }
+        element.value = element.tagName === 'SELECT' && text === '' ? element.options[0].value : String(text);
+        element.removeAttribute('aria-invalid');
+    });
+}
 
-    const urlParams = new URLSearchParams(window.location.search);
-    const addBikeId = urlParams.get('add');
-    if (addBikeId) {
-        document.getElementById('compare-bike-1').value = addBikeId;
+/**
+ * Finds a record in a database by id.
+ * @param {object} dataByBrand The database (brand key -> array of bikes).
+ * @param {string} id The bike id.
+ * @returns {{brand: string, index: number, bike: object}|null} Where the record is, or null.
+ */
+function findDatabaseBike(dataByBrand, id) {
+    for (const [brand, list] of Object.entries(dataByBrand)) {
+        if (!Array.isArray(list)) continue;
+        const index = list.findIndex(bike => bike && bike.id === id);
+        if (index !== -1) return { brand, index, bike: list[index] };
     }
+    return null;
+}
 
-    updateComparison();
+/**
+ * Replaces, adds or removes one record, without changing the database passed in.
+ * An edited record stays where it was, under its brand key even when the key
+ * isn't its `brand` ("EBR (Erik Buell Racing)"). Only a change of brand moves it,
+ * to the end of the new brand's key (see findBrandKey()), as a new record goes.
+ * Brand keys left without bikes are dropped.
+ * @param {object} dataByBrand The database (brand key -> array of bikes).
+ * @param {string|null} id The id of the record to replace or remove (null to add).
+ * @param {object|null} bike The new record (null to remove).
+ * @returns {object} The changed copy.
+ */
+function replaceDatabaseBike(dataByBrand, id, bike) {
+    const data = Object.fromEntries(Object.entries(dataByBrand).map(([brand, list]) => [brand, Array.isArray(list) ? [...list] : list]));
+    const found = id === null ? null : findDatabaseBike(data, id);
+    const key = bike && (found && bike.brand === found.bike.brand ? found.brand : findBrandKey(data, bike.brand));
+    if (found && key === found.brand) {
+        data[key][found.index] = bike;
+        return data;
+    }
+    if (found) {
+        data[found.brand].splice(found.index, 1);
+        if (data[found.brand].length === 0) delete data[found.brand];
+    }
+    if (bike) {
+        if (!Array.isArray(data[key])) data[key] = [];
+        data[key].push(bike);
+    }
+    return data;
 }
 
-function updateComparison() {
-    const selectedBikes = [];
-    for (let i = 1; i <= 4; i++) {
-        const bikeId = document.getElementById(`compare-bike-${i}`).value;
-        if (bikeId) {
-            const bike = motorcycles.find(m => m.id === bikeId);
-            if (bike) selectedBikes.push(bike);
-        }
+/**
+ * Lists the differences between two values, recursing into objects. Arrays
+ * are compared as a whole.
+ * @param {any} before The old value.
+ * @param {any} after The new value.
+ * @param {string} path The values' path, e.g. 'specs'.
+ * @returns {Array<{path: string, before: any, after: any}>} One entry per changed field
+ *   (undefined for a field that was added or removed).
+ */
+function diffValues(before, after, path) {
+    if (matchesType(before, 'object') && matchesType(after, 'object')) {
+        const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+        return keys.flatMap(key => diffValues(before[key], after[key], path ? `${path}.${key}` : key));
     }
+    return JSON.stringify(before) === JSON.stringify(after) ? [] : [{ path, before, after }];
+}
 
-    if (selectedBikes.length === 0) {
-        document.getElementById('compare-result').innerHTML = '<div class="empty-state"><h3>Select one or more bikes to compare their specifications.</h3></div>';
+/**
+ * Compares two versions of the database record by record. Records are matched
+ * by id, so changing a record's id shows as one removed and one added.
+ * Reordering records isn't a change, but moving one to another brand key is.
+ * @param {object} before The old database (brand key -> array of bikes).
+ * @param {object} after The new database.
+ * @returns {Array<{type: string, id: string, bike: object, key: string, movedFrom: (string|null),
+ *   fields: Array<object>}>} The 'added', 'changed' and 'removed' records (in the new
+ *   database's order, then the removed ones), each with the brand key it is filed
+ *   under (the old one for a removed record), the key a changed record moved from,
+ *   and the changed fields of each changed record.
+ */
+function diffDatabases(before, after) {
+    const byId = data => new Map(Object.entries(data).filter(([, list]) => Array.isArray(list))
+        .flatMap(([key, list]) => list.filter(bike => matchesType(bike, 'object')).map(bike => [bike.id, { bike, key }])));
+    const oldBikes = byId(before);
+    const newBikes = byId(after);
+    const changes = [];
+
+    newBikes.forEach(({ bike, key }, id) => {
+        if (!oldBikes.has(id)) {
+            changes.push({ type: 'added', id, bike, key, movedFrom: null, fields: [] });
+            return;
+        }
+        const old = oldBikes.get(id);
+        const fields = diffValues(old.bike, bike, '');
+        const movedFrom = old.key === key ? null : old.key;
+        if (fields.length > 0 || movedFrom !== null) changes.push({ type: 'changed', id, bike, key, movedFrom, fields });
+    });
+    oldBikes.forEach(({ bike, key }, id) => {
+        if (!newBikes.has(id)) changes.push({ type: 'removed', id, bike, key, movedFrom: null, fields: [] });
+    });
+    return changes;
+}
+
+/**
+ * Lists the brand keys one version of the database has and the other hasn't.
+ * @param {object} before The old database (brand key -> array of bikes).
+ * @param {object} after The new database.
+ * @returns {{added: Array<string>, removed: Array<string>}} The new and the dropped keys.
+ */
+function diffBrandKeys(before, after) {
+    return {
+        added: Object.keys(after).filter(key => !Object.hasOwn(before, key)),
+        removed: Object.keys(before).filter(key => !Object.hasOwn(after, key))
+    };
+}
+
+async function loadAdminPage() {
+    pageLoader = loadAdminPage;
+    const list = document.getElementById('admin-bike-list');
+    list.innerHTML = renderSkeleton('list');
+    list.setAttribute('aria-busy', 'true');
+
+    // The raw file, records with errors included, so they can be fixed here.
+    // no-store keeps the browser and the service worker from answering with an old copy.
+    let dataByBrand;
+    try {
+        const response = await fetch('database.json', { cache: 'no-store' });
+        if (!response.ok) {
+            throw new Error(`database.json could not be fetched (HTTP ${response.status})`);
+        }
+        try {
+            dataByBrand = await response.json();
+        } catch (error) {
+            throw new Error(`database.json is not valid JSON (${error.message})`);
+        }
+        if (!matchesType(dataByBrand, 'object')) {
+            throw new Error('database.json is not an object keyed by brand');
+        }
+    } catch (error) {
+        list.innerHTML = renderLoadError(error);
         return;
+    } finally {
+        list.removeAttribute('aria-busy');
     }
+    adminState = { original: dataByBrand, data: dataByBrand, saved: dataByBrand, editing: null };
 
-    const headers = selectedBikes.map(b => `<th><a href="bike.html?id=${b.id}">${b.brand} ${b.model}</a></th>`).join('');
-    const images = selectedBikes.map(b => `<td><img src="${b.imageURL}" style="width: 100%; max-width: 200px;" loading="lazy"></td>`).join('');
-    const years = selectedBikes.map(b => `<td>${b.year}</td>`).join('');
-    const statuses = selectedBikes.map(b => `<td>${b.status}</td>`).join('');
-    const engines = selectedBikes.map(b => `<td>${b.specs.engine}</td>`).join('');
-    const horsepowers = selectedBikes.map(b => `<td>${formatSpec(b.specs.horsepower, ' HP')}</td>`).join('');
-    const torques = selectedBikes.map(b => `<td>${formatSpec(b.specs.torque, ' Nm')}</td>`).join('');
-    const ccs = selectedBikes.map(b => `<td>${formatSpec(b.specs.cc, 'cc')}</td>`).join('');
-    const topSpeeds = selectedBikes.map(b => `<td>${formatSpec(b.specs.top_speed, ' km/h')}</td>`).join('');
-    const mileages = selectedBikes.map(b => `<td>${formatSpec(b.specs.mileage_kmpl, ' km/l')}</td>`).join('');
-    const weights = selectedBikes.map(b => `<td>${formatSpec(b.specs.weight, ' kg')}</td>`).join('');
-    const prices = selectedBikes.map(b => `<td>${formatPrice(b.specs.price_original_inr)}</td>`).join('');
-
-    const html = `
-        <table class="compare-table">
-            <thead>
-                <tr><th>Specification</th>${headers}</tr>
-            </thead>
-            <tbody>
-                <tr><td><strong>Image</strong></td>${images}</tr>
-                <tr><td><strong>Year</strong></td>${years}</tr>
-                <tr><td><strong>Status</strong></td>${statuses}</tr>
-                <tr><td><strong>Price</strong></td>${prices}</tr>
-                <tr><td><strong>Engine</strong></td>${engines}</tr>
-                <tr><td><strong>Displacement</strong></td>${ccs}</tr>
-                <tr><td><strong>Horsepower</strong></td>${horsepowers}</tr>
-                <tr><td><strong>Torque</strong></td>${torques}</tr>
-                <tr><td><strong>Top Speed</strong></td>${topSpeeds}</tr>
-                <tr><td><strong>Mileage</strong></td>${mileages}</tr>
-                <tr><td><strong>Weight</strong></td>${weights}</tr>
-            </tbody>
-        </table>
-    `;
+    const form = document.getElementById('admin-form');
+    form.innerHTML = html`${Object.entries(BIKE_SCHEMA).map(([key, field]) => renderAdminField(key, field))}`;
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        applyAdminForm();
+    });
+    document.getElementById('admin-generate-id').addEventListener('click', () => {
+        const [brand, model, year] = ['brand', 'model', 'year'].map(name => form.elements.namedItem(name).value.trim());
+        if (brand && model && /^\d+$/.test(year)) form.elements.namedItem('id').value = makeBikeId(brand, model, Number(year));
+    });
+    document.getElementById('admin-search').addEventListener('input', renderAdminBikeList);
+    document.getElementById('admin-new').addEventListener('click', () => editAdminBike(null));
+    document.getElementById('admin-revert').addEventListener('click', () => editAdminBike(adminState.editing));
+    document.getElementById('admin-delete').addEventListener('click', deleteAdminBike);
+    document.getElementById('admin-discard').addEventListener('click', () => {
+        if (!window.confirm('Discard every change made on this page?')) return;
+        adminState.data = adminState.original;
+        editAdminBike(findDatabaseBike(adminState.data, adminState.editing) ? adminState.editing : null);
+        renderAdminChanges();
+    });
+    document.getElementById('admin-download').addEventListener('click', downloadAdminDatabase);
+    window.addEventListener('beforeunload', (e) => {
+        if (adminState.data !== adminState.saved) e.preventDefault();
+    });
 
-    document.getElementById('compare-result').innerHTML = html;
+    const id = getQueryParam('id');
+    editAdminBike(id && findDatabaseBike(dataByBrand, id) ? id : null);
+    renderAdminChanges();
 }
 
-// --- TOP LISTS PAGE FUNCTIONS ---
+/**
+ * Renders admin.html's bike list, filtered by the search box. Bikes with
+ * unsaved changes are marked.
+ */
+function renderAdminBikeList() {
+    const query = document.getElementById('admin-search').value.trim().toLowerCase();
+    const changed = new Set(diffDatabases(adminState.original, adminState.data).map(change => change.id));
+    const bikes = Object.values(adminState.data).filter(Array.isArray).flat()
+        .filter(bike => matchesType(bike, 'object') && typeof bike.id === 'string')
+        .filter(bike => !query || `${bike.brand} ${bike.model} ${bike.year} ${bike.id}`.toLowerCase().includes(query))
+        .sort((a, b) => String(a.brand).localeCompare(String(b.brand)) || String(a.model).localeCompare(String(b.model)) || a.year - b.year);
 
-async function loadTopListsPage() {
-    await loadDatabase();
-    
-    renderTopList('top-power', 'Most Powerful Motorcycles', 'horsepower', m => formatSpec(m.specs.horsepower, ' HP'));
-    renderTopList('top-speed', 'Fastest Motorcycles', 'top_speed', m => formatSpec(m.specs.top_speed, ' km/h'));
-    renderTopList('top-mileage', 'Most Fuel Efficient', 'mileage_kmpl', m => formatSpec(m.specs.mileage_kmpl, ' km/l'));
-    
-    // For price, filter out nulls before sorting
-    const pricedBikes = motorcycles.filter(m => m.specs.price_original_inr !== null);
-    renderTopList('top-expensive', 'Most Expensive Motorcycles', 'price_original_inr', m => formatPrice(m.specs.price_original_inr), true, pricedBikes);
-    renderTopList('top-affordable', 'Most Affordable Motorcycles', 'price_original_inr', m => formatPrice(m.specs.price_original_inr), false, pricedBikes);
+    document.getElementById('admin-bike-list').innerHTML = bikes.length > 0
+        ? html`${bikes.map(bike => html`
+            <button type="button" class="admin-bike${bike.id === adminState.editing ? ' active' : ''}" data-action="admin-edit" data-bike-id="${bike.id}">
+                <span>${bike.brand} ${bike.model}</span>
+                <small>${bike.year}${changed.has(bike.id) ? ' · edited' : ''}</small>
+            </button>
+        `)}`
+        : html`<p class="empty-state">No bikes match "${query}".</p>`;
 }
 
-function renderTopList(elementId, title, sortKey, valueFormatter, descending = true, data = motorcycles) {
-    const sorted = [...data]
-        .filter(m => m.specs[sortKey] !== null) // Ensure we don't sort items with null values for the key
-        .sort((a, b) => {
-            const aVal = a.specs[sortKey];
-            const bVal = b.specs[sortKey];
-            return descending ? bVal - aVal : aVal - bVal;
-        })
-        .slice(0, 10);
+/**
+ * Opens a record in the editor form, or an empty form for a new bike, and
+ * keeps its id in the URL.
+ * @param {string|null} id The bike id (null for a new bike).
+ */
+function editAdminBike(id) {
+    const found = id === null ? null : findDatabaseBike(adminState.data, id);
+    adminState.editing = found ? id : null;
+    fillAdminForm(document.getElementById('admin-form'), found ? found.bike : {});
+    document.getElementById('admin-form-title').textContent = found ? `Edit ${found.bike.brand} ${found.bike.model} (${found.bike.year})` : 'New Bike';
+    document.getElementById('admin-delete').hidden = !found;
+    document.getElementById('admin-violations').innerHTML = '';
 
-    const html = `
-        <h2>${title}</h2>
-        <div class="ranked-list">
-            ${sorted.map((bike, index) => `
-                <div class="ranked-item" onclick="window.location.href='bike.html?id=${bike.id}'">
-                    <div class="rank-number">${index + 1}</div>
-                    <img src="${bike.imageURL}" alt="${bike.brand} ${bike.model}" loading="lazy">
-                    <div class="ranked-info">
-                        <h4>${bike.model}</h4>
-                        <div class="brand">${bike.brand} • ${bike.year}</div>
-                    </div>
-                    <div class="ranked-value">${valueFormatter(bike)}</div>
-                </div>
-            `).join('')}
+    const search = found ? `?id=${encodeURIComponent(id)}` : '';
+    if (search !== window.location.search) {
+        window.history.replaceState(null, '', `${window.location.pathname}${search}`);
+    }
+    renderAdminBikeList();
+}
+
+/**
+ * Lists violations on admin.html.
+ * @param {HTMLElement} container Where to show them.
+ * @param {string} title The heading.
+ * @param {Array<object>} violations The violations.
+ */
+function renderAdminViolations(container, title, violations) {
+    container.innerHTML = violations.length === 0 ? '' : html`
+        <h3>${title}</h3>
+        <ul>
+            ${violations.map(v => html`<li class="violation-${v.severity}"><strong>${v.severity}</strong> ${v.path}: ${v.message}</li>`)}
+        </ul>
+    `;
+}
+
+/**
+ * Checks the form and, unless it has errors, applies it to the working copy.
+ * Warnings are shown but don't stop the change.
+ */
+function applyAdminForm() {
+    const form = document.getElementById('admin-form');
+    const base = adminState.editing === null ? {} : findDatabaseBike(adminState.data, adminState.editing).bike;
+    const bike = bikeFromAdminForm(form, base);
+
+    const violations = validateBike(bike, 'bike').map(v => ({ ...v, path: v.path.replace(/^bike\.?/, '') || 'bike' }));
+    const taken = typeof bike.id === 'string' && bike.id !== adminState.editing && findDatabaseBike(adminState.data, bike.id);
+    if (taken) {
+        violations.push({ severity: 'error', path: 'id', message: `"${bike.id}" is already used by ${taken.bike.brand} ${taken.bike.model} (${taken.bike.year})` });
+    }
+    [...form.elements].filter(element => element.name).forEach(element => {
+        if (violations.some(v => v.severity === 'error' && v.path === element.name)) {
+            element.setAttribute('aria-invalid', 'true');
+        } else {
+            element.removeAttribute('aria-invalid');
+        }
+    });
+
+    const errors = violations.filter(v => v.severity === 'error');
+    const container = document.getElementById('admin-violations');
+    if (errors.length > 0) {
+        renderAdminViolations(container, `Not applied: fix ${errors.length === 1 ? 'this error' : `these ${errors.length} errors`} first`, violations);
+        return;
+    }
+
+    adminState.data = replaceDatabaseBike(adminState.data, adminState.editing, bike);
+    editAdminBike(bike.id);
+    renderAdminViolations(container, 'Applied, with warnings', violations);
+    renderAdminChanges();
+}
+
+function deleteAdminBike() {
+    const found = findDatabaseBike(adminState.data, adminState.editing);
+    if (!found || !window.confirm(`Delete ${found.bike.brand} ${found.bike.model} (${found.bike.year})?`)) return;
+    adminState.data = replaceDatabaseBike(adminState.data, adminState.editing, null);
+    editAdminBike(null);
+    renderAdminChanges();
+}
+
+/**
+ * Formats a value for the change preview.
+ * @param {any} value The value (undefined when the field isn't there).
+ * @returns {string} The JSON, or '(none)'.
+ */
+function formatDiffValue(value) {
+    return value === undefined ? '(none)' : JSON.stringify(value);
+}
+
+/**
+ * Renders one record's entry in the change preview: where it is filed (or the
+ * brand keys it moves between), then its changed fields or the whole record.
+ * @param {object} change A change from diffDatabases().
+ * @returns {SafeHTML} The markup.
+ */
+function renderAdminChange(change) {
+    let details = html`<pre class="admin-diff-lines">${JSON.stringify(change.bike, null, 2).split('\n').map(line => `${change.type === 'added' ? '+' : '-'} ${line}`).join('\n')}</pre>`;
+    if (change.type === 'changed') {
+        details = change.fields.length === 0 ? '' : html`
+            <table class="admin-diff-table">
+                <thead><tr><th>Field</th><th>Before</th><th>After</th></tr></thead>
+                <tbody>
+                    ${change.fields.map(field => html`
+                        <tr>
+                            <td>${field.path}</td>
+                            <td><del>${formatDiffValue(field.before)}</del></td>
+                            <td><ins>${formatDiffValue(field.after)}</ins></td>
+                        </tr>
+                    `)}
+                </tbody>
+            </table>
+        `;
+    }
+    return html`
+        <div class="admin-change admin-change-${change.type}">
+            <h3><span class="admin-change-type">${change.type}</span> ${change.bike.brand} ${change.bike.model} (${change.bike.year}) <code>${change.id}</code></h3>
+            ${change.movedFrom === null
+                ? html`<p class="admin-change-key">Filed under "${change.key}"</p>`
+                : html`<p class="admin-change-key admin-diff-keys">Moves from "${change.movedFrom}" to "${change.key}"</p>`}
+            ${details}
         </div>
     `;
+}
+
+/**
+ * Renders the preview of every change between the loaded database and the working copy.
+ */
+function renderAdminChanges() {
+    const changes = diffDatabases(adminState.original, adminState.data);
+    const keys = diffBrandKeys(adminState.original, adminState.data);
+    const counts = ['added', 'changed', 'removed']
+        .map(type => [type, changes.filter(change => change.type === type).length])
+        .filter(([, count]) => count > 0);
+    document.getElementById('admin-discard').disabled = changes.length === 0;
+    document.getElementById('admin-download').disabled = changes.length === 0;
+    document.getElementById('admin-file-issues').innerHTML = '';
+
+    document.getElementById('admin-diff').innerHTML = changes.length === 0
+        ? html`<p class="empty-state">No changes yet. Apply an edit to see it here.</p>`
+        : html`
+            <p class="admin-diff-summary">${counts.map(([type, count]) => `${count} ${count === 1 ? 'bike' : 'bikes'} ${type}`).join(', ')}</p>
+            ${keys.added.length > 0 ? html`<p class="admin-diff-summary admin-diff-keys">New brand keys: ${keys.added.map(key => `"${key}"`).join(', ')}</p>` : ''}
+            ${keys.removed.length > 0 ? html`<p class="admin-diff-summary admin-diff-keys">Brand keys removed: ${keys.removed.map(key => `"${key}"`).join(', ')}</p>` : ''}
+            ${changes.map(renderAdminChange)}
+        `;
+}
 
-    document.getElementById(elementId).innerHTML = html;
-}
\ No newline at end of file
+/**
+ * Checks the whole working copy and downloads it as database.json, sorted and
+ * formatted like the file in the repository. Errors stop the download (the site
+ * would skip those records); warnings are listed with it.
+ */
+function downloadAdminDatabase() {
+    const { violations } = validateDatabase(adminState.data);
+    const errors = violations.filter(v => v.severity === 'error');
+    const container = document.getElementById('admin-file-issues');
+    if (errors.length > 0) {
+        renderAdminViolations(container, `Not downloaded: database.json would have ${errors.length} ${errors.length === 1 ? 'error' : 'errors'}`, errors);
+        return;
+    }
+    downloadFile('database.json', formatDatabase(adminState.data), 'application/json');
+    adminState.saved = adminState.data;
+    renderAdminViolations(container, `Downloaded, with ${violations.length} ${violations.length === 1 ? 'warning' : 'warnings'}`, violations);
+}
+
+// --- STARTUP ---
+// Features shared by every page start as soon as the script loads; each page's
+// inline script then calls its own load*Page(). Skipped without a DOM, so the
+// functions above can be unit-tested in Node.
+
+if (typeof document !== 'undefined') {
+    initClickActions();
+    initPreferenceControls();
+    initImageFallbacks();
+    initOfflineSupport();
+    initGlobalSearch();
+    initCompareTray();
+    initGarageSync();
+}
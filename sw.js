@@ -0,0 +1,168 @@
+// Service worker: lets the encyclopedia work offline.
+//
+// - Pages, scripts, styles and database.json are precached on install and
+//   then served from the cache while a fresh copy is fetched in the background
+//   (stale-while-revalidate), so the next visit picks up any change.
+// - When the background fetch brings a database.json that differs from the
+//   cached one, open pages are told ('database-updated') so they can offer a
+//   reload; when it fails they are told the data may be stale ('database-stale').
+// - Bike images (hosted elsewhere) are cached the first time they're shown.
+//
+// Bump CACHE_VERSION whenever PRECACHE_URLS changes.
+
+const CACHE_VERSION = 'v4';
+const STATIC_CACHE = `moto-static-${CACHE_VERSION}`;
+const IMAGE_CACHE = 'moto-images';
+const IMAGE_CACHE_LIMIT = 100;
+const DATABASE_URL = 'database.json';
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'brands.html',
+    'bikes.html',
+    'brand.html',
+    'bike.html',
+    'compare.html',
+    'top_lists.html',
+    'analytics.html',
+    'garage.html',
+    'style.css',
+    'config.js',
+    'schema.js',
+    'script.js',
+    'brands.json',
+    DATABASE_URL
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(STATIC_CACHE)
+            .then(cache => cache.addAll(PRECACHE_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    // Drop caches left behind by earlier versions
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key !== STATIC_CACHE && key !== IMAGE_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    // Requests that opt out of caching (the database editor's) go straight to the network
+    if (request.cache === 'no-store') return;
+
+    const url = new URL(request.url);
+    if (url.origin === self.location.origin) {
+        if (url.pathname.endsWith(`/${DATABASE_URL}`)) {
+            event.respondWith(respondWithDatabase(event));
+        } else {
+            event.respondWith(respondFromCache(event, url));
+        }
+    } else if (request.destination === 'image') {
+        event.respondWith(respondWithImage(request));
+    }
+});
+
+/**
+ * Serves a same-origin file from the cache and refreshes the cached copy from
+ * the network. Pages are looked up without their query string, so
+ * bike.html?id=... works offline for any bike.
+ * @param {FetchEvent} event The fetch event.
+ * @param {URL} url The parsed request URL.
+ * @returns {Promise<Response>} The cached response, or the network one on a miss.
+ */
+async function respondFromCache(event, url) {
+    const cache = await caches.open(STATIC_CACHE);
+    const cacheKey = url.origin + url.pathname;
+    const cached = await cache.match(cacheKey);
+
+    const update = fetch(event.request)
+        .then(response => {
+            if (response.ok) cache.put(cacheKey, response.clone());
+            return response;
+        });
+
+    if (cached) {
+        event.waitUntil(update.catch(() => {}));
+        return cached;
+    }
+    return update.catch(() => Response.error());
+}
+
+/**
+ * Serves database.json from the cache and refreshes it in the background,
+ * telling open pages whether a newer version arrived or the refresh failed.
+ * @param {FetchEvent} event The fetch event.
+ * @returns {Promise<Response>} The database response.
+ */
+async function respondWithDatabase(event) {
+    const cache = await caches.open(STATIC_CACHE);
+    const cached = await cache.match(DATABASE_URL);
+    const cachedText = cached ? cached.clone().text() : Promise.resolve(null);
+
+    const update = fetch(event.request, { cache: 'no-cache' })
+        .then(async response => {
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const [fresh, previous] = await Promise.all([response.clone().text(), cachedText]);
+            await cache.put(DATABASE_URL, response.clone());
+            if (previous !== null && fresh !== previous) {
+                await notifyClients({ type: 'database-updated' });
+            }
+            return response;
+        });
+
+    if (!cached) return update;
+    event.waitUntil(update.catch(() => notifyClients({ type: 'database-stale' })));
+    return cached;
+}
+
+/**
+ * Serves a bike image from the cache, fetching and caching it on a miss.
+ * Images come from other sites, so the cached responses are opaque.
+ * @param {Request} request The image request.
+ * @returns {Promise<Response>} The image response.
+ */
+async function respondWithImage(request) {
+    const cache = await caches.open(IMAGE_CACHE);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    try {
+        const response = await fetch(request);
+        if (response.ok || response.type === 'opaque') {
+            await cache.put(request, response.clone());
+            await trimCache(cache, IMAGE_CACHE_LIMIT);
+        }
+        return response;
+    } catch (error) {
+        return Response.error();
+    }
+}
+
+/**
+ * Deletes the oldest entries of a cache until it holds at most `limit` items.
+ * @param {Cache} cache The cache to trim.
+ * @param {number} limit The maximum number of entries to keep.
+ */
+async function trimCache(cache, limit) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - limit)).map(key => cache.delete(key)));
+}
+
+/**
+ * Posts a message to every page this worker controls.
+ * @param {object} message The message to send.
+ */
+async function notifyClients(message) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage(message));
+}
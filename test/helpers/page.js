@@ -0,0 +1,53 @@
+// Loads a page of the site into jsdom for tests: the page's markup, then
+// config.js, schema.js and script.js run in its window, with fetch() serving
+// the given data instead of database.json and brands.json. Inline <script> tags in the
+// markup (the load*Page() calls) don't run; tests call the loaders themselves.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { ROOT, SCRIPTS } = require('./scripts');
+
+/**
+ * Opens a page in jsdom with the site scripts loaded.
+ * @param {string} page The HTML file, e.g. 'bike.html'.
+ * @param {object} [options]
+ * @param {string} [options.query] Query string for the page URL, including '?'.
+ * @param {object} [options.database] Data served as database.json (brand -> bikes).
+ * @param {object} [options.brands] Data served as brands.json (brand -> metadata).
+ * @param {object} [options.storage] Initial localStorage contents (key -> string).
+ * @returns {Window} The page's window. `window.consoleMessages` collects console output.
+ */
+function loadPage(page, { query = '', database = {}, brands = {}, storage = {} } = {}) {
+    const consoleMessages = [];
+    const virtualConsole = new VirtualConsole();
+    ['log', 'warn', 'error'].forEach(level => {
+        virtualConsole.on(level, (...args) => consoleMessages.push({ level, text: args.join(' ') }));
+    });
+    virtualConsole.on('jsdomError', error => consoleMessages.push({ level: 'jsdom', text: error.message }));
+
+    const markup = fs.readFileSync(path.join(ROOT, page), 'utf8');
+    const dom = new JSDOM(markup, {
+        url: `http://localhost/${page}${query}`,
+        runScripts: 'outside-only',
+        virtualConsole
+    });
+    const { window } = dom;
+    window.consoleMessages = consoleMessages;
+    Object.entries(storage).forEach(([key, value]) => window.localStorage.setItem(key, value));
+    window.fetch = async (url) => ({
+        ok: true,
+        status: 200,
+        json: async () => JSON.parse(JSON.stringify(url === 'brands.json' ? brands : database))
+    });
+    // Run as classic scripts (not eval) so their top-level consts are shared, as in a browser
+    const context = dom.getInternalVMContext();
+    SCRIPTS.forEach(file => {
+        const filename = path.join(ROOT, file);
+        new vm.Script(fs.readFileSync(filename, 'utf8'), { filename }).runInContext(context);
+    });
+    return window;
+}
+
+module.exports = { ROOT, loadPage };
@@ -0,0 +1,48 @@
+// Loads the site scripts into a bare Node context (no document, no window)
+// for unit tests of the pure functions: formatting, filtering, sorting and
+// ranking. Anything that touches the DOM belongs in the page tests instead.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+const SCRIPTS = ['config.js', 'schema.js', 'script.js'];
+const FIXTURES = path.join(ROOT, 'test', 'fixtures');
+
+/**
+ * Runs config.js, schema.js and script.js in a fresh context.
+ * @param {object} [options]
+ * @param {object} [options.storage] Initial localStorage contents (key -> string).
+ * @returns {object} The context's global object. Top-level functions are
+ *   properties of it; `evaluate(code)` reads top-level consts and lets.
+ */
+function loadScripts({ storage = {} } = {}) {
+    const items = new Map(Object.entries(storage));
+    const context = vm.createContext({
+        console,
+        URLSearchParams,
+        localStorage: {
+            getItem: key => items.has(key) ? items.get(key) : null,
+            setItem: (key, value) => items.set(key, String(value)),
+            removeItem: key => items.delete(key)
+        }
+    });
+    SCRIPTS.forEach(file => {
+        const filename = path.join(ROOT, file);
+        new vm.Script(fs.readFileSync(filename, 'utf8'), { filename }).runInContext(context);
+    });
+    context.evaluate = code => vm.runInContext(code, context);
+    return context;
+}
+
+/**
+ * Reads a fixture file, as served to the page tests.
+ * @param {string} [file] 'database.json' (brand -> bikes) or 'brands.json' (brand -> metadata).
+ * @returns {object} A fresh copy of the fixture.
+ */
+function readFixture(file = 'database.json') {
+    return JSON.parse(fs.readFileSync(path.join(FIXTURES, file), 'utf8'));
+}
+
+module.exports = { ROOT, SCRIPTS, loadScripts, readFixture };
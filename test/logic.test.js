@@ -0,0 +1,554 @@
+// Unit tests for the pure functions of script.js, run without a DOM against
+// the fixture database (test/fixtures/database.json).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, readFixture } = require('./helpers/scripts');
+
+const site = loadScripts();
+const bikes = site.validateDatabase(readFixture()).bikes;
+
+/**
+ * Returns the default filters with some of them changed.
+ * @param {object} [changes] Filter values to set.
+ * @returns {object} The filters.
+ */
+function filtersWith(changes = {}) {
+    return Object.assign(site.evaluate('cloneFilters(DEFAULT_FILTERS)'), changes);
+}
+
+/**
+ * Lists the ids of some bikes, as a Node array (the context's arrays belong
+ * to another realm and don't deepEqual plain arrays).
+ * @param {Array<object>} list The bikes.
+ * @returns {Array<string>} Their ids.
+ */
+function ids(list) {
+    return [...list].map(bike => bike.id);
+}
+
+test('the fixture database is valid', () => {
+    const { violations } = site.validateDatabase(readFixture());
+    assert.equal(bikes.length, 8);
+    assert.deepEqual([...violations], []);
+});
+
+test('formatPrice() converts and formats each currency', () => {
+    assert.equal(site.formatPrice(150000), '₹1,50,000');
+    assert.equal(site.formatPrice(150000, 'INR'), '₹1,50,000');
+    assert.equal(site.formatPrice(150000, 'USD'), '$1,800');
+    assert.match(site.formatPrice(150000, 'EUR'), /^1\.650\s€$/);
+});
+
+test('formatMetric() shows price per HP in the chosen currency\'s locale', () => {
+    const bike = { specs: { price_original_inr: 100000000, horsepower: 100 } };
+    const inCurrency = currency => loadScripts({ storage: { 'motoEncyclo.preferences': JSON.stringify({ currency }) } }).formatMetric(bike, 'price_per_hp');
+    assert.equal(site.formatMetric(bike, 'price_per_hp'), '₹10,00,000');
+    assert.equal(inCurrency('USD'), '$12,000');
+    assert.match(inCurrency('EUR'), /^11\.000\s€$/);
+});
+
+test('formatPrice() handles missing prices', () => {
+    assert.equal(site.formatPrice(null), 'Price not available');
+    assert.equal(site.formatPrice(undefined, 'USD'), 'Price not available');
+    assert.equal(site.formatPrice(0), '₹0');
+});
+
+test('formatSpec() shows N/A for null and undefined but not for 0', () => {
+    assert.equal(site.formatSpec(null, ' HP'), 'N/A');
+    assert.equal(site.formatSpec(undefined), 'N/A');
+    assert.equal(site.formatSpec(0, 'cc'), '0cc');
+    assert.equal(site.formatSpec(11.5, ' HP'), '11.5 HP');
+    assert.equal(site.formatSpec('Air-cooled'), 'Air-cooled');
+});
+
+test('matchesCcRange() parses bounded ranges inclusively', () => {
+    assert.equal(site.matchesCcRange(0, '0-100'), true);
+    assert.equal(site.matchesCcRange(100, '0-100'), true);
+    assert.equal(site.matchesCcRange(101, '0-100'), false);
+    assert.equal(site.matchesCcRange(999, '750-1000'), true);
+    assert.equal(site.matchesCcRange(1000, '750-1000'), true);
+    assert.equal(site.matchesCcRange(1001, '750-1000'), false);
+});
+
+test('matchesCcRange() treats "1000+" as 1000cc and up', () => {
+    assert.equal(site.matchesCcRange(999, '1000+'), false);
+    assert.equal(site.matchesCcRange(1000, '1000+'), true);
+    assert.equal(site.matchesCcRange(2500, '1000+'), true);
+});
+
+test('filterBikes() returns everything, brand-sorted, with no filters', () => {
+    const result = site.filterBikes(bikes, filtersWith());
+    assert.equal(result.bikes.length, 8);
+    assert.equal(result.candidates.length, 8);
+    assert.equal(result.matches, null);
+    assert.deepEqual(ids(result.bikes).slice(0, 3), ['alpha_mystery_750_2001', 'alpha_street_999_2020', 'alpha_tourer_1000_2019']);
+});
+
+test('filterBikes() applies the cc range', () => {
+    assert.deepEqual(ids(site.filterBikes(bikes, filtersWith({ cc: '1000+' })).bikes),
+        ['alpha_tourer_1000_2019', 'bravo_hyper_1200_2021']);
+    assert.deepEqual(ids(site.filterBikes(bikes, filtersWith({ cc: '0-100' })).bikes), ['bravo_volt_2022']);
+});
+
+test('filterBikes() leaves out null specs from a range unless asked to keep them', () => {
+    const range = { hp_min: '100' };
+    assert.deepEqual(ids(site.filterBikes(bikes, filtersWith(range)).bikes),
+        ['alpha_street_999_2020', 'alpha_tourer_1000_2019', 'bravo_hyper_1200_2021']);
+    assert.deepEqual(ids(site.filterBikes(bikes, filtersWith({ ...range, unknown: true })).bikes),
+        ['alpha_mystery_750_2001', 'alpha_street_999_2020', 'alpha_tourer_1000_2019', 'bravo_hyper_1200_2021']);
+});
+
+test('filterBikes() combines list facets and search', () => {
+    const brand = site.filterBikes(bikes, filtersWith({ brand: ['Bravo', 'Charlie'], tag: ['Commuter'] }));
+    assert.deepEqual(ids(brand.bikes), ['bravo_city_125_2018', 'bravo_volt_2022']);
+
+    const search = site.filterBikes(bikes, filtersWith({ search: 'classic' }));
+    assert.deepEqual(ids(search.candidates).sort(), ['alpha_mystery_750_2001', 'charlie_classic_350_2015']);
+    assert.equal(ids(search.bikes)[0], 'charlie_classic_350_2015', 'the model name match ranks first');
+    assert.ok(search.matches.has('charlie_classic_350_2015'));
+});
+
+test('sortBikes() puts bikes with missing values last', () => {
+    const byPrice = ids(site.sortBikes(bikes, 'price-asc'));
+    assert.equal(byPrice[0], 'bravo_city_125_2018');
+    assert.deepEqual(byPrice.slice(-2).sort(), ['alpha_mystery_750_2001', 'charlie_scrambler_400_2020']);
+
+    const byPriceDesc = ids(site.sortBikes(bikes, 'price-desc'));
+    assert.equal(byPriceDesc[0], 'bravo_hyper_1200_2021');
+    assert.deepEqual(byPriceDesc.slice(-2).sort(), ['alpha_mystery_750_2001', 'charlie_scrambler_400_2020']);
+
+    const byMileage = ids(site.sortBikes(bikes, 'mileage-desc'));
+    assert.equal(byMileage[0], 'bravo_city_125_2018');
+    assert.deepEqual(byMileage.slice(-2).sort(), ['alpha_mystery_750_2001', 'bravo_volt_2022']);
+
+    const byPricePerHp = ids(site.sortBikes(bikes, 'pphp-asc'));
+    assert.deepEqual(byPricePerHp.slice(-2).sort(), ['alpha_mystery_750_2001', 'charlie_scrambler_400_2020']);
+    const unpriced = bikes.filter(bike => bike.specs.price_original_inr === null);
+    assert.deepEqual(ids(site.sortBikes(unpriced, 'pphp-asc')), ids(unpriced), 'two missing values compare as equal');
+    assert.deepEqual(ids(site.sortBikes([...unpriced].reverse(), 'price-asc')), ids(unpriced).reverse());
+});
+
+test('sortBikes() sorts by displacement and leaves its input alone', () => {
+    const input = [...bikes];
+    assert.deepEqual(ids(site.sortBikes(input, 'cc-desc')).slice(0, 3),
+        ['bravo_hyper_1200_2021', 'alpha_tourer_1000_2019', 'alpha_street_999_2020']);
+    assert.equal(ids(site.sortBikes(input, 'cc-asc'))[0], 'bravo_volt_2022');
+    assert.deepEqual(ids(input), ids(bikes));
+});
+
+test('countFacetOptions() counts each option with the facet itself left out', () => {
+    const brandFacet = site.evaluate('LIST_FACETS').find(facet => facet.key === 'brand');
+    const counts = site.countFacetOptions(brandFacet, bikes, filtersWith({ brand: ['Alpha'], cc: '1000+' }), bikes);
+    assert.deepEqual({ ...counts }, { Alpha: 1, Bravo: 1, Charlie: 0 });
+});
+
+test('rankBikes() ranks by specs and derived metrics, skipping missing values', () => {
+    assert.deepEqual(ids(site.rankBikes(bikes, 'horsepower', true, 3)),
+        ['bravo_hyper_1200_2021', 'alpha_street_999_2020', 'alpha_tourer_1000_2019']);
+
+    const cheapest = ids(site.rankBikes(bikes, 'price_original_inr', false));
+    assert.equal(cheapest.length, 6);
+    assert.equal(cheapest[0], 'bravo_city_125_2018');
+    assert.ok(!cheapest.includes('alpha_mystery_750_2001'));
+    assert.ok(!cheapest.includes('charlie_scrambler_400_2020'));
+
+    const mileage = ids(site.rankBikes(bikes, 'mileage_kmpl'));
+    assert.equal(mileage.length, 6);
+    assert.ok(!mileage.includes('bravo_volt_2022'));
+
+    // Power-to-weight needs both inputs
+    assert.equal(site.rankBikes(bikes, 'power_to_weight').length, 7);
+    assert.equal(site.rankBikes(bikes, 'horsepower').length, 7);
+});
+
+test('countBikesByBrand() counts models per brand in name order', () => {
+    assert.deepEqual([...site.countBikesByBrand(bikes)].map(({ brand, count }) => `${brand}:${count}`),
+        ['Alpha:3', 'Bravo:3', 'Charlie:2']);
+    assert.equal(site.countBikesByBrand([]).length, 0);
+});
+
+test('sortBikes() sorts by year either way', () => {
+    assert.equal(ids(site.sortBikes(bikes, 'year-asc'))[0], 'alpha_mystery_750_2001');
+    assert.equal(ids(site.sortBikes(bikes, 'year-desc'))[0], 'bravo_volt_2022');
+});
+
+test('validateBrands() checks the metadata and matches it against the bikes', () => {
+    assert.deepEqual([...site.validateBrands(readFixture('brands.json'), bikes).violations], []);
+
+    const { brands, violations } = site.validateBrands({
+        Alpha: { country: 'Italy', founded: 1950, parent: null, logoURL: null },
+        Bravo: { country: 7, founded: 2001, parent: null, logoURL: null },
+        Zulu: { country: null, founded: null, parent: null, logoURL: 'ftp://example.com/logo.png' }
+    }, bikes);
+    assert.deepEqual(Object.keys(brands), ['Alpha', 'Zulu']);
+    assert.deepEqual([...violations].map(v => `${v.severity} ${v.path}`), [
+        'error Bravo.country',
+        'warning Zulu.logoURL',
+        'warning Charlie',
+        'warning Zulu'
+    ]);
+});
+
+test('computeBrandStats() sums up a brand, skipping missing and electric values', () => {
+    const alpha = bikes.filter(bike => bike.brand === 'Alpha');
+    const stats = site.computeBrandStats(alpha);
+    assert.equal(stats.models, 3);
+    assert.equal(stats.firstYear, 2001);
+    assert.equal(stats.lastYear, 2020);
+    assert.equal(stats.minCc, 750);
+    assert.equal(stats.maxCc, 1000);
+    assert.equal(stats.avgPower, 135);
+    assert.equal(stats.peakPower, 150);
+    assert.deepEqual([...stats.statuses].map(s => `${s.category}:${s.count}:${s.share.toFixed(2)}`),
+        ['in-production:1:0.33', 'discontinued:2:0.67']);
+
+    const bravo = site.computeBrandStats(bikes.filter(bike => bike.brand === 'Bravo'));
+    assert.equal(bravo.minCc, 125);
+    assert.equal(bravo.electric, 1);
+    assert.deepEqual([...bravo.statuses].map(s => s.category), ['in-production', 'limited']);
+
+    const unknown = site.computeBrandStats(bikes.filter(bike => bike.id === 'alpha_mystery_750_2001'));
+    assert.equal(unknown.avgPower, null);
+    assert.equal(unknown.peakPower, null);
+
+    const odd = ['Prototype', 'Concept', 'In Production', 'Banned'].map(status => ({ ...alpha[0], status }));
+    assert.deepEqual([...site.computeBrandStats(odd).statuses].map(s => s.label),
+        ['In Production', 'Banned', 'Concept', 'Prototype'], 'statuses outside STATUS_CATEGORIES go last, by label');
+});
+
+test('groupBikesByYear() lists model years oldest first', () => {
+    const groups = site.groupBikesByYear(bikes);
+    assert.deepEqual([...groups].map(g => g.year), [2001, 2015, 2018, 2019, 2020, 2021, 2022]);
+    assert.deepEqual(ids(groups.find(g => g.year === 2020).bikes), ['charlie_scrambler_400_2020', 'alpha_street_999_2020']);
+});
+
+test('groupBrands() sorts by name or model count and groups by country', () => {
+    const brands = [
+        { brand: 'Alpha', count: 3, info: { country: 'Italy' } },
+        { brand: 'Bravo', count: 4, info: { country: 'India' } },
+        { brand: 'Charlie', count: 2, info: { country: null } },
+        { brand: 'Delta', count: 5, info: { country: 'Italy' } }
+    ];
+    const names = groups => [...groups].map(g => `${g.label}: ${[...g.brands].map(b => b.brand).join(',')}`);
+
+    assert.deepEqual(names(site.groupBrands(brands)), ['null: Alpha,Bravo,Charlie,Delta']);
+    assert.deepEqual(names(site.groupBrands(brands, 'count')), ['null: Delta,Bravo,Alpha,Charlie']);
+    assert.deepEqual(names(site.groupBrands(brands, 'count', 'country')),
+        ['India: Bravo', 'Italy: Delta,Alpha', 'Unknown Country: Charlie']);
+});
+
+test('validateDatabase() checks lineage links across records', () => {
+    const data = readFixture();
+    const [street, tourer, mystery] = data.Alpha;
+    street.lineage = { successor: 'no_such_bike_2030' };
+    tourer.lineage = { predecessor: 'alpha_mystery_750_2001', successor: 'alpha_street_999_2020' };
+    mystery.lineage = { successor: 'alpha_mystery_750_2001' };
+    const found = [...site.validateDatabase(data).violations].map(v => `${v.path}: ${v.message}`);
+    assert.deepEqual(found, [
+        'Alpha[0].lineage.successor: "no_such_bike_2030" is not a known bike id',
+        'Alpha[1].lineage.predecessor: "alpha_mystery_750_2001" does not list "alpha_tourer_1000_2019" as its successor',
+        'Alpha[1].lineage.successor: "alpha_street_999_2020" does not list "alpha_tourer_1000_2019" as its predecessor',
+        'Alpha[2].lineage.successor: points at the bike itself'
+    ]);
+});
+
+test('getLineage() follows the links both ways, oldest first', () => {
+    const byId = id => bikes.find(bike => bike.id === id);
+    assert.deepEqual(ids(site.getLineage(byId('alpha_tourer_1000_2019'), bikes)), ['alpha_mystery_750_2001', 'alpha_tourer_1000_2019']);
+    assert.deepEqual(ids(site.getLineage(byId('alpha_mystery_750_2001'), bikes)), ['alpha_mystery_750_2001', 'alpha_tourer_1000_2019']);
+    assert.deepEqual(ids(site.getLineage(byId('bravo_volt_2022'), bikes)), ['bravo_volt_2022']);
+
+    const loop = [
+        { id: 'a', lineage: { successor: 'b' } },
+        { id: 'b', lineage: { predecessor: 'a', successor: 'a' } }
+    ];
+    assert.deepEqual(ids(site.getLineage(loop[0], loop)), ['a', 'b']);
+});
+
+test('closeness() and tagOverlap() compare single features', () => {
+    assert.equal(site.closeness(100, 100), 1);
+    assert.equal(site.closeness(50, 100), 0.5);
+    assert.equal(site.closeness(0, 0), 1);
+    assert.equal(site.closeness(0, 125), 0);
+    assert.equal(site.closeness(null, 100), null);
+    assert.equal(site.tagOverlap(['Sport', 'Naked'], ['sport', 'Touring']), 1 / 3);
+    assert.equal(site.tagOverlap([], []), null);
+});
+
+test('similarityScore() weighs the features both bikes have', () => {
+    const [street] = bikes;
+    const same = site.similarityScore(street, street);
+    assert.equal(same.score, 1);
+    assert.deepEqual([...same.similar], ['displacement', 'power', 'weight', 'price', 'style']);
+
+    // Only displacement, tags and status can be compared with a bike of unknown specs
+    const mystery = bikes.find(bike => bike.id === 'alpha_mystery_750_2001');
+    const classic = bikes.find(bike => bike.id === 'charlie_classic_350_2015');
+    const { score, similar } = site.similarityScore(mystery, classic);
+    assert.equal(score.toFixed(4), ((3 * (350 / 750) + 2 * 1 + 1 * 1) / 6).toFixed(4));
+    assert.deepEqual([...similar], ['style']);
+});
+
+test('findSimilarBikes() ranks matches and limits rivals to other brands of the era', () => {
+    const tourer = bikes.find(bike => bike.id === 'alpha_tourer_1000_2019');
+    assert.deepEqual([...site.findSimilarBikes(tourer, bikes)].map(m => m.bike.id),
+        ['alpha_street_999_2020', 'alpha_mystery_750_2001', 'bravo_hyper_1200_2021']);
+    assert.deepEqual([...site.findSimilarBikes(tourer, bikes, { rivals: true })].map(m => m.bike.id), ['bravo_hyper_1200_2021']);
+    assert.deepEqual([...site.findSimilarBikes(tourer, bikes, { exclude: ['alpha_street_999_2020'], limit: 1 })].map(m => m.bike.id),
+        ['alpha_mystery_750_2001']);
+
+    const volt = bikes.find(bike => bike.id === 'bravo_volt_2022');
+    assert.equal(site.findSimilarBikes(volt, bikes).length, 0, 'nothing scores above the threshold');
+});
+
+test('niceTicks() covers a range with round steps', () => {
+    const axis = site.niceTicks(3, 140);
+    assert.deepEqual([...axis.ticks], [0, 50, 100, 150]);
+    assert.equal(axis.min, 0);
+    assert.equal(axis.max, 150);
+    assert.deepEqual([...site.niceTicks(0, 1).ticks], [0, 0.2, 0.4, 0.6, 0.8, 1]);
+    assert.deepEqual([...site.niceTicks(2020, 2020).ticks], [2019, 2019.5, 2020, 2020.5, 2021], 'a single value still gets an axis');
+});
+
+test('powerByYear() averages each year and finds its most powerful bike', () => {
+    const years = [...site.powerByYear(bikes)];
+    assert.deepEqual(years.map(entry => entry.year), [2015, 2018, 2019, 2020, 2021, 2022], 'the bike without power is left out');
+    const year2020 = years.find(entry => entry.year === 2020);
+    assert.equal(year2020.average, 95);
+    assert.equal(year2020.count, 2);
+    assert.equal(year2020.top.id, 'alpha_street_999_2020');
+});
+
+test('ccHistogram() counts each bike once, in the first range that takes it', () => {
+    const counts = Object.fromEntries([...site.ccHistogram(bikes)].map(bin => [bin.range, bin.count]));
+    assert.deepEqual(counts, {
+        '0-100': 1, '100-200': 1, '200-300': 0, '300-500': 2, '500-750': 1, '750-1000': 2, '1000+': 1
+    });
+});
+
+test('brandBreakdown() orders brands by models and sums up the rest', () => {
+    const rows = [...site.brandBreakdown(bikes, 2)];
+    assert.deepEqual(rows.map(row => [row.brand, row.label, row.count]),
+        [['Alpha', 'Alpha', 3], ['Bravo', 'Bravo', 3], [null, 'Other (1 brand)', 2]]);
+    assert.deepEqual([...rows[1].statuses].map(s => [s.category, s.count]), [['in-production', 2], ['limited', 1]]);
+    assert.equal(site.brandBreakdown(bikes).length, 3);
+});
+
+test('describeFilters() lists the active filters in words', () => {
+    assert.deepEqual([...site.describeFilters(filtersWith())], []);
+    assert.deepEqual([...site.describeFilters(filtersWith({
+        search: 'alpha', brand: ['Alpha', 'Bravo'], cc: '1000+', hp_min: '100', year_max: '2020', unknown: true
+    }))], ['Search: "alpha"', 'Brands: Alpha, Bravo', 'Engine: 1000cc+', 'Horsepower (HP): 100 and up', 'Year: up to 2020', 'Bikes with unknown values included']);
+});
+
+test('parseSegment() reads tag, engine class and status segments', () => {
+    const sport = site.parseSegment('tag:Sport');
+    assert.equal(sport.label, 'Sport');
+    assert.deepEqual(ids(bikes.filter(sport.matches)), ['alpha_street_999_2020', 'bravo_hyper_1200_2021']);
+    const big = site.parseSegment('cc:1000+');
+    assert.equal(big.label, '1000+cc');
+    assert.deepEqual(ids(bikes.filter(big.matches)), ['alpha_tourer_1000_2019', 'bravo_hyper_1200_2021']);
+    assert.equal(site.parseSegment('status:limited').label, 'Limited Production');
+    for (const value of ['', 'Sport', 'tag:', 'cc:123-456', 'brand:Alpha', 'constructor:x']) {
+        assert.equal(site.parseSegment(value), null, value);
+    }
+});
+
+test('listSegments() offers common tags, engine classes with bikes and statuses', () => {
+    const groups = [...site.listSegments(bikes)];
+    assert.deepEqual(groups.map(group => group.group), ['Engine Class', 'Status'], 'no tag is on three bikes');
+    assert.deepEqual([...groups[0].options].map(o => [o.value, o.count]),
+        [['cc:0-100', 1], ['cc:100-200', 1], ['cc:300-500', 2], ['cc:500-750', 1], ['cc:750-1000', 3], ['cc:1000+', 2]],
+        'like the Engine CC filter, a bike on a boundary is in both classes');
+    assert.deepEqual([...groups[1].options].map(o => o.value), ['status:in-production', 'status:limited', 'status:discontinued']);
+
+    const withCurrent = [...site.listSegments(bikes, 'tag:Commuter')];
+    assert.deepEqual([...withCurrent[0].options].map(o => [o.value, o.label, o.count]), [['tag:Commuter', 'Commuter', 2]]);
+});
+
+test('topListsViewFromQuery() validates the view and topListsViewToQuery() writes it back', () => {
+    const view = site.topListsViewFromQuery('?segment=tag%3ASport&metric=weight&limit=25');
+    assert.deepEqual({ ...view }, { segment: 'tag:Sport', metric: 'weight', descending: false, limit: 25 },
+        'weight ranks lightest first by default');
+    assert.equal(site.topListsViewToQuery(view), '?segment=tag%3ASport&metric=weight&order=asc&limit=25');
+    assert.equal(site.topListsViewToQuery(view, false), '?segment=tag%3ASport');
+
+    assert.deepEqual({ ...site.topListsViewFromQuery('?segment=bogus&metric=constructor&order=sideways&limit=7') },
+        { segment: '', metric: '', descending: true, limit: 10 });
+    assert.equal(site.topListsViewToQuery(site.topListsViewFromQuery('')), '');
+    assert.equal(site.topListsViewFromQuery('?metric=horsepower&order=asc').descending, false);
+});
+
+test('normalizeGarage() keeps valid entries and drops junk', () => {
+    const garage = site.normalizeGarage(JSON.parse(`{
+        "alpha_street_999_2020": { "lists": ["ridden", "owned", "stolen"], "rating": 4, "notes": "Fun", "updated": "2024-05-01T10:00:00.000Z" },
+        "bravo_volt_2022": { "lists": [], "rating": 9, "notes": "  " },
+        "charlie_classic_350_2015": { "rating": 2, "updated": "yesterday" },
+        "__proto__": { "lists": ["wishlist"] },
+        "bravo_city_125_2018": "owned"
+    }`));
+    assert.deepEqual(Object.keys(garage), ['alpha_street_999_2020', 'charlie_classic_350_2015', '__proto__']);
+    assert.deepEqual({ ...garage.alpha_street_999_2020, lists: [...garage.alpha_street_999_2020.lists] },
+        { lists: ['owned', 'ridden'], rating: 4, notes: 'Fun', updated: '2024-05-01T10:00:00.000Z' });
+    assert.equal(garage.charlie_classic_350_2015.updated, null);
+    assert.equal(Object.getPrototypeOf(garage), null, 'a "__proto__" id is an ordinary key');
+    assert.equal(Object.keys(site.normalizeGarage([1, 2])).length, 0);
+});
+
+test('parseGarageFile() reads exported garages and rejects anything else', () => {
+    const file = JSON.stringify(site.garageToFile({ alpha_street_999_2020: { lists: ['owned'], rating: null, notes: '', updated: null } }));
+    const { garage, skipped } = site.parseGarageFile(file.replace('"bikes":{', '"bikes":{"bad":{},'));
+    assert.deepEqual(Object.keys(garage), ['alpha_street_999_2020']);
+    assert.equal(skipped, 1);
+
+    assert.throws(() => site.parseGarageFile('{not json'), /not valid JSON/);
+    assert.throws(() => site.parseGarageFile('{"bikes": {}}'), /not a garage exported from this site/);
+    assert.throws(() => site.parseGarageFile(file.replace('"version":1', '"version":2')), /newer version/);
+});
+
+test('mergeGarages() keeps the entry updated last and reports which side won', () => {
+    const entry = (notes, updated) => ({ lists: ['owned'], rating: null, notes, updated });
+    const { garage, applied, kept } = site.mergeGarages(
+        { a: entry('here, old', '2024-01-01T00:00:00.000Z'), b: entry('here, new', '2024-06-01T00:00:00.000Z'), c: entry('only here', null), e: entry('same', null) },
+        { a: entry('file, new', '2024-03-01T00:00:00.000Z'), b: entry('file, old', '2024-02-01T00:00:00.000Z'), d: entry('only in file', null), e: entry('same', null) }
+    );
+    assert.deepEqual(Object.fromEntries(Object.entries(garage).map(([id, e]) => [id, e.notes])),
+        { a: 'file, new', b: 'here, new', c: 'only here', e: 'same', d: 'only in file' });
+    assert.deepEqual([...applied], ['a', 'd']);
+    assert.deepEqual([...kept], ['b'], 'an identical entry counts as neither');
+});
+
+test('makeBikeId() builds brand_model_year ids', () => {
+    assert.equal(site.makeBikeId('Royal Enfield', 'Bullet 350', 2021), 'royalenfield_bullet_350_2021');
+    assert.equal(site.makeBikeId('Dürkopp', 'Diana (Scooter)', 1954), 'durkopp_diana_scooter_1954');
+    assert.equal(site.makeBikeId('Harley-Davidson', 'Fat Boy', 1990), 'harleydavidson_fat_boy_1990');
+});
+
+test('sortDatabase() orders brands, bikes and fields and drops empty brands', () => {
+    const data = readFixture();
+    const [first, ...rest] = data.Alpha;
+    data.Alpha = [...rest, { ...first, specs: { cc: first.specs.cc, ...first.specs }, id: first.id }];
+    const sorted = site.sortDatabase({ charlie: [], Bravo: data.Bravo, Alpha: data.Alpha });
+    assert.deepEqual([...Object.keys(sorted)], ['Alpha', 'Bravo']);
+    assert.deepEqual([...sorted.Alpha].map(bike => bike.model), ['Mystery 750', 'Street 999', 'Tourer 1000']);
+    assert.deepEqual([...Object.keys(sorted.Alpha[1])], ['id', 'brand', 'model', 'year', 'status', 'tags', 'imageURL', 'history', 'specs', 'color_variants']);
+    assert.equal(Object.keys(sorted.Alpha[1].specs)[0], 'engine');
+    assert.equal(data.Alpha[0].model, 'Tourer 1000', 'the input is left alone');
+});
+
+test('formatDatabase() writes the file layout with CRLF line endings', () => {
+    const bike = readFixture().Alpha[0];
+    bike.lineage = { predecessor: null, successor: 'alpha_street_999_2021' };
+    const text = site.formatDatabase({ Alpha: [bike] });
+    const lines = text.split('\r\n');
+    assert.ok(!/[^\r]\n/.test(text), 'every line break is CRLF');
+    assert.ok(!text.endsWith('\r\n'));
+    assert.equal(lines[1], '  "Alpha": [');
+    assert.equal(lines[2], '    {');
+    assert.equal(lines[3], '        "id": "alpha_street_999_2020",');
+    assert.ok(lines.includes('        "lineage": { "predecessor": null, "successor": "alpha_street_999_2021" },'));
+    assert.ok(lines.includes('        "tags": ["Sport"],'));
+    assert.ok(lines.includes('            "horsepower": 150,'));
+    assert.deepEqual(JSON.parse(text), JSON.parse(JSON.stringify(site.sortDatabase({ Alpha: [bike] }))));
+});
+
+test('mergeBikes() adds new bikes under their brand and rejects taken ids', () => {
+    const data = readFixture();
+    const fresh = { ...data.Bravo[0], id: 'delta_one_2024', brand: 'Delta' };
+    const merged = site.mergeBikes(data, [fresh]);
+    assert.deepEqual([...merged.duplicates], []);
+    assert.equal(merged.data.Delta[0].id, 'delta_one_2024');
+    assert.equal(data.Delta, undefined, 'the input is left alone');
+
+    const clash = site.mergeBikes(data, [fresh, { ...fresh }, { ...data.Alpha[1] }]);
+    assert.deepEqual(JSON.parse(JSON.stringify(clash.duplicates)), [
+        { id: 'delta_one_2024', index: 1, path: null, first: 0 },
+        { id: data.Alpha[1].id, index: 2, path: 'Alpha[1]', first: null }
+    ]);
+    assert.equal(clash.data.Delta, undefined, 'nothing is added when an id is taken');
+});
+
+test('diffDatabases() lists added, changed and removed bikes by id', () => {
+    const before = readFixture();
+    const edited = { ...before.Alpha[0], year: 2021, specs: { ...before.Alpha[0].specs, horsepower: 155 } };
+    let after = site.replaceDatabaseBike(before, edited.id, edited);
+    after = site.replaceDatabaseBike(after, 'bravo_volt_2022', null);
+    after = site.replaceDatabaseBike(after, null, { ...before.Charlie[0], id: 'charlie_new_2024' });
+
+    const changes = JSON.parse(JSON.stringify(site.diffDatabases(before, after)));
+    assert.deepEqual(changes.map(change => [change.type, change.id]),
+        [['changed', edited.id], ['added', 'charlie_new_2024'], ['removed', 'bravo_volt_2022']]);
+    assert.deepEqual(changes[0].fields, [
+        { path: 'year', before: 2020, after: 2021 },
+        { path: 'specs.horsepower', before: 150, after: 155 }
+    ]);
+    assert.equal(before.Bravo.length, 3, 'the input is left alone');
+    assert.deepEqual([...site.diffDatabases(before, site.sortDatabase(before))], [], 'reordering is not a change');
+});
+
+test('replaceDatabaseBike() moves a bike whose brand changed and drops empty brands', () => {
+    const data = { Alpha: [{ id: 'a', brand: 'Alpha' }], Bravo: [{ id: 'b', brand: 'Bravo' }] };
+    const moved = site.replaceDatabaseBike(data, 'a', { id: 'a', brand: 'Bravo' });
+    assert.deepEqual(JSON.parse(JSON.stringify(moved)), { Bravo: [{ id: 'b', brand: 'Bravo' }, { id: 'a', brand: 'Bravo' }] });
+});
+
+/**
+ * The fixture database filed the way some real brands are: under keys that
+ * aren't their bikes' `brand` ("EBR (Erik Buell Racing)", "Confederate / Curtiss").
+ * @returns {object} The database (brand key -> array of bikes).
+ */
+function readKeyedFixture() {
+    const data = readFixture();
+    return { 'Alpha Motors': data.Alpha, 'Bravo / Charlie': [...data.Bravo, ...data.Charlie] };
+}
+
+test('replaceDatabaseBike() keeps an edited bike under a key that isn\'t its brand', () => {
+    const before = readKeyedFixture();
+    const bike = { ...before['Alpha Motors'][1], history: 'Rewritten.' };
+    const after = site.replaceDatabaseBike(before, bike.id, bike);
+    assert.deepEqual([...Object.keys(after)], ['Alpha Motors', 'Bravo / Charlie']);
+    assert.equal(after['Alpha Motors'][1].history, 'Rewritten.');
+
+    const changes = JSON.parse(JSON.stringify(site.diffDatabases(before, after)));
+    assert.deepEqual(changes.map(({ type, key, movedFrom, fields }) => ({ type, key, movedFrom, fields: fields.map(f => f.path) })),
+        [{ type: 'changed', key: 'Alpha Motors', movedFrom: null, fields: ['history'] }]);
+    assert.deepEqual(JSON.parse(JSON.stringify(site.diffBrandKeys(before, after))), { added: [], removed: [] });
+});
+
+test('replaceDatabaseBike() files a new or rebranded bike under the key holding its brand', () => {
+    const before = readKeyedFixture();
+    const volt = before['Bravo / Charlie'][0];
+
+    const added = site.replaceDatabaseBike(before, null, { ...volt, id: 'charlie_new_2024', brand: 'Charlie' });
+    assert.equal(added['Bravo / Charlie'].at(-1).id, 'charlie_new_2024');
+    assert.equal(added.Charlie, undefined);
+
+    const sameKey = site.replaceDatabaseBike(before, volt.id, { ...volt, brand: 'Charlie' });
+    assert.equal(sameKey['Bravo / Charlie'][0].brand, 'Charlie', 'a brand sharing the key stays in place');
+
+    const moved = site.replaceDatabaseBike(before, volt.id, { ...volt, brand: 'Alpha' });
+    assert.equal(moved['Alpha Motors'].at(-1).id, volt.id);
+    const [change] = JSON.parse(JSON.stringify(site.diffDatabases(before, moved)));
+    assert.deepEqual([change.key, change.movedFrom], ['Alpha Motors', 'Bravo / Charlie']);
+
+    const newKey = site.replaceDatabaseBike(before, volt.id, { ...volt, brand: 'Delta' });
+    assert.deepEqual(JSON.parse(JSON.stringify(site.diffBrandKeys(before, newKey))), { added: ['Delta'], removed: [] });
+});
+
+test('mergeBikes() adds a bike to the key that already holds its brand', () => {
+    const data = readKeyedFixture();
+    const bike = { ...data['Bravo / Charlie'][0], id: 'charlie_new_2024', brand: 'Charlie' };
+    const merged = site.mergeBikes(data, [bike, { ...bike, id: 'alpha_new_2024', brand: 'Alpha' }]).data;
+    assert.deepEqual([...Object.keys(merged)], ['Alpha Motors', 'Bravo / Charlie']);
+    assert.equal(merged['Bravo / Charlie'].at(-1).id, 'charlie_new_2024');
+    assert.equal(merged['Alpha Motors'].at(-1).id, 'alpha_new_2024');
+});
+
+test('toCSVCell() quotes cells and defuses formula-like text', () => {
+    assert.equal(site.toCSVCell('Street, 999'), '"Street, 999"');
+    assert.equal(site.toCSVCell('=HYPERLINK("http://evil.example")'), '"\'=HYPERLINK(""http://evil.example"")"');
+    assert.deepEqual(['+1', '-x', '@SUM(A1)', '\tTab'].map(site.toCSVCell), ['\'+1', '\'-x', '\'@SUM(A1)', '\'\tTab']);
+    assert.equal(site.toCSVCell(-5), '-5', 'negative numbers stay numbers');
+    assert.equal(site.toCSVCell(['=A1', 'Sport']), '\'=A1; Sport');
+});
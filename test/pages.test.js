@@ -0,0 +1,585 @@
+// Page tests: each HTML page is loaded in jsdom against the fixture database
+// (test/fixtures/database.json and brands.json) and its loader's output is checked.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/page');
+const { readFixture } = require('./helpers/scripts');
+
+const database = readFixture();
+const brands = readFixture('brands.json');
+
+/**
+ * Opens a page with the fixture database and runs its loader.
+ * @param {string} page The HTML file.
+ * @param {string} loader The name of the page's load*Page() function.
+ * @param {string} [query] Query string for the page URL, including '?'.
+ * @returns {Promise<Window>} The page's window once the loader is done.
+ */
+async function renderPage(page, loader, query = '') {
+    const window = loadPage(page, { query, database, brands });
+    await window[loader]();
+    return window;
+}
+
+/**
+ * Lists the text of every element matching a selector.
+ * @param {ParentNode} root Where to look.
+ * @param {string} selector The CSS selector.
+ * @returns {Array<string>} The trimmed text of each match.
+ */
+function texts(root, selector) {
+    return [...root.querySelectorAll(selector)].map(element => element.textContent.trim());
+}
+
+/**
+ * Fails if the page logged an error (a loader threw, or jsdom hit a problem).
+ * @param {Window} window The page's window.
+ */
+function assertNoErrors(window) {
+    const errors = window.consoleMessages.filter(m => m.level === 'error' || m.level === 'jsdom');
+    assert.deepEqual(errors, []);
+}
+
+test('index.html shows the stats and six featured bikes with a price', async () => {
+    const window = await renderPage('index.html', 'loadHomePage');
+    const { document } = window;
+
+    assert.equal(document.getElementById('total-bikes').textContent, '8');
+    assert.equal(document.getElementById('total-brands').textContent, '3');
+    // (150 + 120 + 20 + 200 + 11 + 40 + 20) / 7, the bike without a power figure left out
+    assert.equal(document.getElementById('avg-power').textContent, '80 HP');
+    assert.equal(document.getElementById('top-speed-stat').textContent, '299 km/h');
+
+    const featured = [...document.querySelectorAll('#featured-bikes .bike-card')];
+    assert.equal(featured.length, 6);
+    assert.ok(featured.every(card => !card.textContent.includes('Price not available')));
+    assertNoErrors(window);
+});
+
+test('brands.html lists each brand with its model count', async () => {
+    const window = await renderPage('brands.html', 'loadBrandsPage');
+    const grid = window.document.getElementById('brands-grid');
+
+    assert.deepEqual(texts(grid, 'h3'), ['Alpha', 'Bravo', 'Charlie']);
+    assert.deepEqual(texts(grid, '.model-count'), ['3 Models', '3 Models', '2 Models']);
+    assert.equal(grid.querySelector('.brand-card').dataset.href, 'brand.html?brand=Alpha');
+    assert.deepEqual(texts(grid, '.brand-origin'), ['Italy • Est. 1950', 'India • Est. 2001']);
+    assert.equal(grid.querySelector('img.brand-logo').getAttribute('src'), 'https://example.com/alpha-logo.png');
+    assert.deepEqual(texts(grid, '.brand-monogram'), ['B', 'C']);
+    assertNoErrors(window);
+});
+
+test('brands.html sorts by model count and groups by country from the URL', async () => {
+    const window = await renderPage('brands.html', 'loadBrandsPage', '?sort=count&group=country');
+    const { document } = window;
+    const grid = document.getElementById('brands-grid');
+
+    assert.equal(document.getElementById('brand-sort').value, 'count');
+    assert.equal(document.getElementById('brand-group').value, 'country');
+    assert.deepEqual(texts(grid, '.brand-group-title'), ['India (1)', 'Italy (1)', 'Unknown Country (1)']);
+    assert.deepEqual(texts(grid, 'h3'), ['Bravo', 'Alpha', 'Charlie']);
+
+    const group = document.getElementById('brand-group');
+    group.value = 'none';
+    group.dispatchEvent(new window.Event('change'));
+    assert.equal(grid.querySelectorAll('.brand-group-title').length, 0);
+    assert.equal(window.location.search, '?sort=count');
+});
+
+test('brands.html still lists brands without brands.json', async () => {
+    const window = loadPage('brands.html', { database, brands: null });
+    await window.loadBrandsPage();
+    const grid = window.document.getElementById('brands-grid');
+    assert.deepEqual(texts(grid, 'h3'), ['Alpha', 'Bravo', 'Charlie']);
+    assert.equal(grid.querySelectorAll('.brand-origin').length, 0);
+});
+
+test('bikes.html shows every bike without filters', async () => {
+    const window = await renderPage('bikes.html', 'loadBikesPage');
+    const { document } = window;
+
+    assert.equal(document.getElementById('bikes-count').textContent, 'Showing 8 of 8 motorcycles');
+    assert.equal(document.querySelectorAll('#all-bikes .bike-card').length, 8);
+    assert.deepEqual(texts(document, '#facet-brand .facet-count'), ['3', '3', '2']);
+    assertNoErrors(window);
+});
+
+test('bikes.html applies ?cc=1000+ and the sort from the URL', async () => {
+    const window = await renderPage('bikes.html', 'loadBikesPage', '?cc=1000%2B&sort=cc-asc');
+    const { document } = window;
+
+    assert.equal(document.getElementById('cc-filter').value, '1000+');
+    assert.equal(document.getElementById('sort-select').value, 'cc-asc');
+    assert.equal(document.getElementById('bikes-count').textContent, 'Showing 2 of 8 motorcycles');
+    assert.deepEqual(texts(document, '#all-bikes h3'), ['Tourer 1000', 'Hyper 1200']);
+});
+
+test('bikes.html keeps null specs out of a range until "include unknown" is ticked', async () => {
+    const window = await renderPage('bikes.html', 'loadBikesPage', '?hp_min=100');
+    const { document } = window;
+    assert.equal(document.getElementById('bikes-count').textContent, 'Showing 3 of 8 motorcycles');
+    assert.ok(!texts(document, '#all-bikes h3').includes('Mystery 750'));
+
+    const unknown = document.getElementById('include-unknown');
+    unknown.checked = true;
+    unknown.dispatchEvent(new window.Event('change', { bubbles: true }));
+    assert.equal(document.getElementById('bikes-count').textContent, 'Showing 4 of 8 motorcycles');
+    assert.ok(texts(document, '#all-bikes h3').includes('Mystery 750'));
+});
+
+test('bikes.html shows an empty state when nothing matches', async () => {
+    const window = await renderPage('bikes.html', 'loadBikesPage', '?brand=Charlie&cc=1000%2B');
+    const { document } = window;
+    assert.equal(document.getElementById('bikes-count').textContent, 'Showing 0 of 8 motorcycles');
+    assert.equal(document.querySelectorAll('#all-bikes .bike-card').length, 0);
+});
+
+test('brand.html lists the models of one brand', async () => {
+    const window = await renderPage('brand.html', 'loadBrandPage', '?brand=Charlie');
+    const { document } = window;
+
+    assert.equal(document.getElementById('brand-name').textContent, 'Charlie');
+    assert.equal(document.getElementById('brand-count').textContent, '2 Models in Collection');
+    assert.deepEqual(texts(document, '#brand-bikes h3').sort(), ['Classic 350', 'Scrambler 400']);
+    assert.equal(document.getElementById('brand-models-count').textContent, 'Showing 2 of 2 models');
+    assert.equal(document.getElementById('brand-meta').textContent, '');
+    assertNoErrors(window);
+});
+
+test('brand.html shows the brand profile, stats and timeline', async () => {
+    const window = await renderPage('brand.html', 'loadBrandPage', '?brand=Bravo');
+    const { document } = window;
+
+    assert.deepEqual(texts(document, '#brand-meta span'), ['India', 'Founded 2001', 'Part of Bravo Group']);
+    assert.deepEqual(texts(document, '#brand-stats .stat-card h3'),
+        ['3', '2018–2022', '125–1200cc + Electric', '77 HP', '200 HP']);
+    assert.deepEqual(texts(document, '.status-share-legend li'), ['In Production 67%', 'Limited Production 33%']);
+    assert.deepEqual(texts(document, '#brand-timeline .timeline-label'), ['2018', '2021', '2022']);
+    assert.equal(document.querySelector('#brand-timeline .timeline-model').getAttribute('href'), 'bike.html?id=bravo_city_125_2018');
+    assertNoErrors(window);
+});
+
+test('brand.html filters and sorts the brand\'s models', async () => {
+    const window = await renderPage('brand.html', 'loadBrandPage', '?brand=Bravo&status=in-production&sort=year-desc');
+    const { document } = window;
+
+    assert.equal(document.getElementById('brand-status').value, 'in-production');
+    assert.deepEqual(texts(document, '#brand-bikes h3'), ['Volt', 'City 125']);
+    assert.equal(document.getElementById('brand-models-count').textContent, 'Showing 2 of 3 models');
+
+    const sort = document.getElementById('brand-sort');
+    sort.value = 'power-desc';
+    sort.dispatchEvent(new window.Event('change'));
+    const status = document.getElementById('brand-status');
+    status.value = '';
+    status.dispatchEvent(new window.Event('change'));
+    assert.deepEqual(texts(document, '#brand-bikes h3'), ['Hyper 1200', 'Volt', 'City 125']);
+    assert.equal(window.location.search, '?brand=Bravo&sort=power-desc');
+
+    const search = document.getElementById('brand-search');
+    search.value = 'hyper';
+    search.dispatchEvent(new window.Event('input'));
+    assert.deepEqual(texts(document, '#brand-bikes h3'), ['Hyper 1200']);
+});
+
+test('brand.html hides the profile for an unknown brand', async () => {
+    const window = await renderPage('brand.html', 'loadBrandPage', '?brand=Zulu');
+    assert.equal(window.document.getElementById('brand-overview').hidden, true);
+    assert.equal(window.document.getElementById('brand-name').textContent, 'Brand Not Found');
+});
+
+test('bike.html shows the specs of a bike', async () => {
+    const window = await renderPage('bike.html', 'loadBikeDetailPage', '?id=bravo_hyper_1200_2021');
+    const detail = window.document.getElementById('bike-detail');
+
+    assert.equal(detail.querySelector('h1').textContent, 'Hyper 1200');
+    assert.equal(detail.querySelector('.price').textContent, '₹35,00,000');
+    assert.deepEqual(texts(detail, '.detail-specs:not(.derived-specs) .value'),
+        ['200 HP', '130 Nm', '1200cc', '299 km/h', '12 km/l', '210 kg']);
+    assertNoErrors(window);
+});
+
+test('bike.html shows N/A for every missing spec', async () => {
+    const window = await renderPage('bike.html', 'loadBikeDetailPage', '?id=alpha_mystery_750_2001');
+    const detail = window.document.getElementById('bike-detail');
+
+    assert.equal(detail.querySelector('.price').textContent, 'Price not available');
+    assert.deepEqual(texts(detail, '.detail-specs:not(.derived-specs) .value'),
+        ['N/A', 'N/A', '750cc', 'N/A', 'N/A', 'N/A']);
+    assert.ok(texts(detail, '.derived-specs .value').every(value => value === 'N/A'));
+    assert.ok(!detail.textContent.includes('null'));
+    assert.ok(!detail.textContent.includes('NaN'));
+    assertNoErrors(window);
+});
+
+test('bike.html links the other generations of the model', async () => {
+    const window = await renderPage('bike.html', 'loadBikeDetailPage', '?id=alpha_tourer_1000_2019');
+    const lineage = window.document.querySelector('#bike-detail .lineage');
+
+    assert.deepEqual(texts(lineage, '.lineage-item').map(text => text.replace(/\s+/g, ' ')),
+        ['2001 Alpha Mystery 750 + Compare', '2019 Alpha Tourer 1000']);
+    assert.equal(lineage.querySelector('a').getAttribute('href'), 'bike.html?id=alpha_mystery_750_2001');
+    assert.equal(lineage.querySelector('.current').getAttribute('aria-current'), 'page');
+    assertNoErrors(window);
+});
+
+test('bike.html recommends rivals and similar bikes with a compare button', async () => {
+    const window = await renderPage('bike.html', 'loadBikeDetailPage', '?id=alpha_tourer_1000_2019');
+    const [rivals, similar] = window.document.querySelectorAll('#bike-detail .recommendations');
+
+    assert.deepEqual(texts(rivals, '.bike-card h3'), ['Hyper 1200']);
+    // The predecessor is in the lineage and the rival in its own section, so neither repeats here
+    assert.deepEqual(texts(similar, '.bike-card h3'), ['Street 999']);
+    assert.match(similar.querySelector('.card-note').textContent, /^\d+% match/);
+
+    similar.querySelector('[data-action="toggle-compare"]').click();
+    assert.deepEqual([...window.getCompareList()], ['alpha_street_999_2020']);
+});
+
+test('bike.html says so when nothing is similar', async () => {
+    const window = await renderPage('bike.html', 'loadBikeDetailPage', '?id=bravo_volt_2022');
+    const detail = window.document.getElementById('bike-detail');
+    assert.equal(detail.querySelector('.lineage'), null);
+    assert.deepEqual(texts(detail, '.recommendations .empty-state'), [
+        'No other brand\'s bike from 2017–2027 is close enough to list.',
+        'No other bike in the database is close enough to list.'
+    ]);
+});
+
+test('bike.html shows an electric bike as 0cc', async () => {
+    const window = await renderPage('bike.html', 'loadBikeDetailPage', '?id=bravo_volt_2022');
+    const detail = window.document.getElementById('bike-detail');
+    assert.ok(texts(detail, '.detail-specs .value').includes('0cc'));
+    assert.ok(!detail.textContent.includes('NaN'));
+});
+
+test('compare.html builds a table of the bikes in ?bikes=', async () => {
+    const window = await renderPage('compare.html', 'loadComparePage', '?bikes=alpha_street_999_2020,alpha_mystery_750_2001,no_such_bike');
+    const table = window.document.querySelector('#compare-result .compare-table');
+
+    assert.deepEqual(texts(table, 'thead th'), ['Specification', 'Alpha Street 999', 'Alpha Mystery 750']);
+    const priceRow = [...table.querySelectorAll('tbody tr')].find(row => row.cells[0].textContent === 'Price');
+    assert.deepEqual([...priceRow.cells].slice(1).map(cell => cell.textContent), ['₹20,00,000', 'Price not available']);
+    assert.deepEqual([...window.getCompareList()], ['alpha_street_999_2020', 'alpha_mystery_750_2001']);
+    assertNoErrors(window);
+});
+
+test('compare.html shows an empty state with nothing to compare', async () => {
+    const window = await renderPage('compare.html', 'loadComparePage');
+    assert.equal(window.document.querySelector('#compare-result .compare-table'), null);
+    assert.match(window.document.getElementById('compare-result').textContent, /Select one or more bikes/);
+});
+
+test('top_lists.html ranks bikes and leaves out missing values', async () => {
+    const window = await renderPage('top_lists.html', 'loadTopListsPage');
+    const { document } = window;
+    const models = id => texts(document, `#${id} .ranked-item h4`);
+
+    assert.deepEqual(models('top-power').slice(0, 3), ['Hyper 1200', 'Street 999', 'Tourer 1000']);
+    assert.equal(models('top-power').length, 7);
+    assert.deepEqual(texts(document, '#top-power .rank-number'), ['1', '2', '3', '4', '5', '6', '7']);
+    assert.equal(models('top-affordable')[0], 'City 125');
+    assert.equal(models('top-expensive')[0], 'Hyper 1200');
+    for (const id of ['top-expensive', 'top-affordable']) {
+        assert.equal(models(id).length, 6, id);
+        assert.ok(!models(id).includes('Mystery 750'), id);
+        assert.ok(!models(id).includes('Scrambler 400'), id);
+    }
+    assert.ok(!models('top-mileage').includes('Volt'));
+    assert.ok(!texts(document, '.ranked-value').includes('N/A'));
+    assertNoErrors(window);
+});
+
+test('analytics.html charts the bikes matching the filters in its query string', async () => {
+    const window = await renderPage('analytics.html', 'loadAnalyticsPage', '?brand=Bravo');
+    const { document } = window;
+
+    assert.match(document.getElementById('analytics-summary').textContent, /Charting 3 of 8 motorcycles/);
+    assert.deepEqual(texts(document, '.filter-summary li'), ['Brands: Bravo']);
+    const points = [...document.querySelectorAll('#chart-power-weight a.chart-mark')];
+    assert.deepEqual(points.map(a => a.getAttribute('href')).sort(),
+        ['bike.html?id=bravo_city_125_2018', 'bike.html?id=bravo_hyper_1200_2021', 'bike.html?id=bravo_volt_2022']);
+    assert.equal(document.querySelectorAll('#chart-power-year a.chart-mark').length, 3);
+    assert.equal(document.querySelector('#chart-cc a.chart-mark').getAttribute('href'), 'bikes.html?brand=Bravo&cc=0-100');
+    assert.deepEqual([...document.querySelectorAll('#chart-brands a.chart-mark')].map(a => a.getAttribute('href')),
+        ['brand.html?brand=Bravo']);
+    assertNoErrors(window);
+});
+
+test('analytics.html shows the details of the mark under the pointer', async () => {
+    const window = await renderPage('analytics.html', 'loadAnalyticsPage');
+    const { document } = window;
+
+    assert.equal(document.querySelectorAll('#chart-power-weight a.chart-mark').length, 7, 'the bike without power or weight is left out');
+    const point = document.querySelector('#chart-power-weight a[href="bike.html?id=bravo_hyper_1200_2021"]');
+    point.querySelector('circle').dispatchEvent(new window.MouseEvent('mouseover', { bubbles: true }));
+    assert.equal(document.querySelector('#chart-power-weight .chart-readout').textContent, 'Bravo Hyper 1200 (2021): 200 HP, 210 kg');
+    assert.ok(point.classList.contains('active'));
+    assertNoErrors(window);
+});
+
+test('bikes.html links its current filters to the charts', async () => {
+    const window = await renderPage('bikes.html', 'loadBikesPage', '?status=in-production&sort=power-desc');
+    assert.equal(window.document.getElementById('view-charts').getAttribute('href'), 'analytics.html?status=in-production&sort=power-desc');
+    assertNoErrors(window);
+});
+
+test('top_lists.html ranks within the segment in its URL and links each list', async () => {
+    const window = await renderPage('top_lists.html', 'loadTopListsPage', '?segment=tag%3ACommuter');
+    const { document } = window;
+
+    assert.equal(document.getElementById('segment-select').value, 'tag:Commuter', 'a rare tag from a link is still offered');
+    assert.match(document.getElementById('segment-summary').textContent, /Ranking the 2 Commuter motorcycles/);
+    assert.deepEqual(texts(document, '#top-power .ranked-item h4'), ['Volt', 'City 125']);
+    assert.deepEqual(texts(document, '#top-specific-output .ranked-item h4'), ['City 125'], 'the electric bike has no specific output');
+    assert.equal(document.querySelector('#top-power .list-header a').getAttribute('href'), 'top_lists.html?segment=tag%3ACommuter#top-power');
+    assert.match(document.getElementById('custom-list').textContent, /Choose a spec/);
+    assertNoErrors(window);
+});
+
+test('top_lists.html builds a custom ranking and keeps it in the URL', async () => {
+    const window = await renderPage('top_lists.html', 'loadTopListsPage', '?metric=weight&limit=5');
+    const { document } = window;
+    const models = () => texts(document, '#custom-list .ranked-item h4');
+
+    assert.equal(texts(document, '#custom-list h2')[0], 'Lowest Weight');
+    assert.deepEqual(models(), ['City 125', 'Volt', 'Scrambler 400', 'Classic 350', 'Street 999']);
+
+    const order = document.getElementById('order-select');
+    order.value = 'desc';
+    order.dispatchEvent(new window.Event('change'));
+    assert.equal(models()[0], 'Tourer 1000');
+    assert.equal(window.location.search, '?metric=weight&order=desc&limit=5');
+
+    const segment = document.getElementById('segment-select');
+    segment.value = 'status:limited';
+    segment.dispatchEvent(new window.Event('change'));
+    assert.deepEqual(models(), ['Hyper 1200']);
+    assert.equal(document.querySelector('#custom-list .list-header a').getAttribute('href'),
+        'top_lists.html?segment=status%3Alimited&metric=weight&order=desc&limit=5#custom-ranking');
+
+    const metric = document.getElementById('metric-select');
+    metric.value = '';
+    metric.dispatchEvent(new window.Event('change'));
+    assert.equal(window.location.search, '?segment=status%3Alimited');
+    assert.ok(document.getElementById('order-select').disabled);
+    assertNoErrors(window);
+});
+
+test('top_lists.html scrolls to the list a shared link names', async () => {
+    const window = loadPage('top_lists.html', { query: '?segment=cc%3A1000%2B#top-speed', database, brands });
+    const scrolled = [];
+    window.Element.prototype.scrollIntoView = function () {
+        scrolled.push(this.id);
+    };
+    await window.loadTopListsPage();
+    assert.deepEqual(scrolled, ['top-speed']);
+    assert.equal(texts(window.document, '#top-speed .ranked-item h4').length, 2);
+    assertNoErrors(window);
+});
+
+/**
+ * Returns the localStorage contents for a garage.
+ * @param {object} garage Bike ids mapped to their entries.
+ * @returns {object} The storage option for loadPage().
+ */
+function garageStorage(garage) {
+    return { 'motoEncyclo.garage': JSON.stringify(garage) };
+}
+
+/**
+ * Reads the garage a page saved.
+ * @param {Window} window The page's window.
+ * @returns {object} Bike ids mapped to their entries.
+ */
+function savedGarage(window) {
+    return JSON.parse(window.localStorage.getItem('motoEncyclo.garage') || '{}');
+}
+
+test('bike.html saves the bike to the garage with a rating and notes', async () => {
+    const window = await renderPage('bike.html', 'loadBikeDetailPage', '?id=alpha_street_999_2020');
+    const { document } = window;
+    assert.deepEqual(savedGarage(window), {}, 'each page starts with empty storage');
+
+    const owned = document.querySelector('[data-action="toggle-garage"][data-list="owned"]');
+    owned.click();
+    assert.ok(owned.classList.contains('active'));
+    assert.equal(owned.getAttribute('aria-pressed'), 'true');
+    assert.deepEqual(savedGarage(window).alpha_street_999_2020.lists, ['owned']);
+
+    const rating = document.getElementById('garage-rating');
+    rating.value = '4';
+    rating.dispatchEvent(new window.Event('change'));
+    const notes = document.getElementById('garage-notes');
+    notes.value = 'Chain <b>adjusted</b>';
+    notes.dispatchEvent(new window.Event('input'));
+    assert.deepEqual({ ...savedGarage(window).alpha_street_999_2020, updated: null },
+        { lists: ['owned'], rating: 4, notes: 'Chain <b>adjusted</b>', updated: null });
+
+    owned.click();
+    assert.ok(!owned.classList.contains('active'));
+    assert.ok(savedGarage(window).alpha_street_999_2020, 'the rating and notes keep the bike in the garage');
+    assertNoErrors(window);
+});
+
+test('cards and top lists show garage badges', async () => {
+    const storage = garageStorage({ bravo_hyper_1200_2021: { lists: ['wishlist', 'ridden'], rating: 5, notes: '' } });
+    let window = loadPage('bikes.html', { database, brands, storage });
+    await window.loadBikesPage();
+    const card = window.document.querySelector('.bike-card[data-href="bike.html?id=bravo_hyper_1200_2021"]');
+    assert.deepEqual(texts(card, '.garage-badge'), ['⭐ Wishlist', '🏁 Ridden', '★★★★★']);
+    assert.equal(window.document.querySelectorAll('.garage-badge').length, 3, 'other cards have no badges');
+
+    window = loadPage('top_lists.html', { database, brands, storage });
+    await window.loadTopListsPage();
+    assert.deepEqual(texts(window.document, '#top-power .ranked-item:first-child .garage-badge'), ['⭐ Wishlist', '🏁 Ridden', '★★★★★']);
+    assertNoErrors(window);
+});
+
+test('garage.html lists the garage by list, with bikes missing from the database', async () => {
+    const storage = garageStorage({
+        alpha_street_999_2020: { lists: ['owned'], rating: 3, notes: 'Daily rider', updated: '2024-01-01T00:00:00.000Z' },
+        charlie_classic_350_2015: { lists: ['wishlist'], rating: 5, notes: '', updated: '2024-03-01T00:00:00.000Z' },
+        gone_bike_1999: { lists: ['ridden'], rating: null, notes: '', updated: null }
+    });
+    const window = loadPage('garage.html', { query: '?sort=rating', database, brands, storage });
+    await window.loadGaragePage();
+    const { document } = window;
+
+    assert.equal(document.getElementById('garage-count').textContent, '2 bikes in your garage');
+    assert.deepEqual(texts(document, '#garage-bikes .bike-card h3'), ['Classic 350', 'Street 999']);
+    assert.deepEqual(texts(document, '#garage-bikes .card-note'), ['Daily rider']);
+    assert.match(document.getElementById('garage-missing').textContent, /gone_bike_1999/);
+
+    const list = document.getElementById('garage-list');
+    list.value = 'owned';
+    list.dispatchEvent(new window.Event('change'));
+    assert.equal(window.location.search, '?list=owned&sort=rating');
+    assert.deepEqual(texts(document, '#garage-bikes .bike-card h3'), ['Street 999']);
+    list.value = 'ridden';
+    list.dispatchEvent(new window.Event('change'));
+    assert.match(document.getElementById('garage-bikes').textContent, /Nothing on your Ridden list yet/);
+
+    document.querySelector('[data-action="remove-garage"]').click();
+    assert.equal(document.getElementById('garage-missing').textContent, '');
+    assert.deepEqual(Object.keys(savedGarage(window)), ['alpha_street_999_2020', 'charlie_classic_350_2015']);
+    assertNoErrors(window);
+});
+
+test('garage.html imports a garage file and reports bad ones', async () => {
+    const window = await renderPage('garage.html', 'loadGaragePage');
+    const { document } = window;
+    assert.match(document.getElementById('garage-bikes').textContent, /Your garage is empty/);
+
+    window.importGarage(JSON.stringify({
+        format: 'moto-encyclo-garage',
+        version: 1,
+        bikes: { bravo_volt_2022: { lists: ['owned'], rating: null, notes: '' }, junk: { lists: 'owned' } }
+    }), 'backup.json');
+    const message = document.getElementById('garage-message');
+    assert.equal(message.textContent, 'Imported 1 bike from backup.json (1 invalid entry skipped).');
+    assert.ok(!message.hidden);
+    assert.deepEqual(texts(document, '#garage-bikes .bike-card h3'), ['Volt']);
+
+    window.importGarage('[]', 'list.json');
+    assert.equal(message.textContent, 'Could not import list.json: The file is not a garage exported from this site.');
+    assert.ok(message.classList.contains('error'));
+    assert.deepEqual(Object.keys(savedGarage(window)), ['bravo_volt_2022']);
+    assertNoErrors(window);
+});
+
+test('garage.html counts only the imported entries it applied', async () => {
+    const window = await renderPage('garage.html', 'loadGaragePage');
+    const message = window.document.getElementById('garage-message');
+    const file = bikes => JSON.stringify({ format: 'moto-encyclo-garage', version: 1, bikes });
+    const volt = (notes, updated) => ({ bravo_volt_2022: { lists: ['owned'], rating: null, notes, updated } });
+
+    window.importGarage(file({ ...volt('New', '2024-06-01T00:00:00.000Z'), bravo_city_125_2018: { lists: ['wishlist'] } }), 'phone.json');
+    assert.equal(message.textContent, 'Imported 2 bikes from phone.json.');
+    window.importGarage(file({ ...volt('Old', '2024-01-01T00:00:00.000Z'), bravo_city_125_2018: { lists: ['wishlist'] } }), 'old.json');
+    assert.equal(message.textContent, 'Imported 0 bikes from old.json (1 kept from this browser, which has newer changes; 1 already up to date).');
+    assert.equal(savedGarage(window).bravo_volt_2022.notes, 'New');
+    assertNoErrors(window);
+});
+
+/**
+ * Sets fields of admin.html's form and submits it.
+ * @param {Window} window The page's window.
+ * @param {object} values Field path -> text to type.
+ */
+function submitAdminForm(window, values) {
+    const form = window.document.getElementById('admin-form');
+    Object.entries(values).forEach(([name, value]) => { form.elements.namedItem(name).value = value; });
+    form.requestSubmit();
+}
+
+test('admin.html edits a bike, previews the change and downloads the formatted file', async () => {
+    const window = loadPage('admin.html', { query: '?id=alpha_street_999_2020', database, brands });
+    const requests = [];
+    const fetchData = window.fetch;
+    window.fetch = (url, options) => {
+        requests.push(options);
+        return fetchData(url, options);
+    };
+    const downloads = [];
+    window.downloadFile = (...args) => downloads.push(args);
+    await window.loadAdminPage();
+    const { document } = window;
+
+    assert.equal(requests[0].cache, 'no-store');
+    assert.equal(document.getElementById('admin-form-title').textContent, 'Edit Alpha Street 999 (2020)');
+    assert.equal(document.getElementById('admin-specs-horsepower').value, '150');
+    assert.equal(texts(document, '#admin-bike-list .admin-bike').length, 8);
+    assert.ok(document.getElementById('admin-download').disabled);
+
+    submitAdminForm(window, { 'specs.horsepower': '155', tags: 'Sport, Naked' });
+    assert.deepEqual(texts(document, '.admin-diff-table tbody td'),
+        ['tags', '["Sport"]', '["Sport","Naked"]', 'specs.horsepower', '150', '155']);
+    assert.match(document.querySelector('.admin-bike.active').textContent, /edited/);
+    assert.equal(document.getElementById('admin-violations').textContent, '');
+
+    document.getElementById('admin-download').click();
+    assert.equal(downloads.length, 1);
+    const [filename, text] = downloads[0];
+    assert.equal(filename, 'database.json');
+    assert.equal(text, window.formatDatabase(JSON.parse(text)), 'the file is sorted and formatted');
+    assert.deepEqual(JSON.parse(text).Alpha.find(bike => bike.id === 'alpha_street_999_2020').tags, ['Sport', 'Naked']);
+    assertNoErrors(window);
+});
+
+test('admin.html validates before applying and adds and deletes bikes', async () => {
+    const window = await renderPage('admin.html', 'loadAdminPage');
+    const { document } = window;
+    window.confirm = () => true;
+    assert.equal(document.getElementById('admin-form-title').textContent, 'New Bike');
+    assert.ok(document.getElementById('admin-delete').hidden);
+
+    submitAdminForm(window, {
+        brand: 'Delta', model: 'One R', year: 'soon', status: 'In Production', imageURL: 'https://example.com/one.jpg',
+        history: 'New.', tags: 'Sport', 'specs.engine': '650cc twin', 'specs.cc': '650', color_variants: 'Red'
+    });
+    assert.match(document.getElementById('admin-violations').textContent, /Not applied/);
+    assert.equal(document.getElementById('admin-year').getAttribute('aria-invalid'), 'true');
+    assert.match(document.getElementById('admin-diff').textContent, /No changes yet/);
+
+    submitAdminForm(window, { year: '2024', id: 'alpha_street_999_2020' });
+    assert.match(document.getElementById('admin-violations').textContent, /"alpha_street_999_2020" is already used by Alpha Street 999/);
+
+    document.getElementById('admin-generate-id').click();
+    assert.equal(document.getElementById('admin-id').value, 'delta_one_r_2024');
+    document.getElementById('admin-form').requestSubmit();
+    assert.equal(window.location.search, '?id=delta_one_r_2024');
+    const bike = window.eval('adminState.data.Delta[0]');
+    assert.deepEqual(Object.keys(bike.specs), ['engine', 'horsepower', 'torque', 'mileage_kmpl', 'top_speed', 'weight', 'cc', 'price_original_inr']);
+    assert.equal(bike.specs.horsepower, null);
+    assert.equal(bike.production, undefined, 'an empty optional object is left out');
+    assert.equal(texts(document, '.admin-change .admin-change-type').join(), 'added');
+
+    document.querySelector('[data-action="admin-edit"][data-bike-id="bravo_volt_2022"]').click();
+    document.getElementById('admin-delete').click();
+    assert.deepEqual(texts(document, '.admin-change .admin-change-type'), ['added', 'removed']);
+    assert.match(document.querySelector('.admin-diff-summary').textContent, /1 bike added, 1 bike removed/);
+    assert.equal(texts(document, '#admin-bike-list .admin-bike').length, 8);
+    assertNoErrors(window);
+});
@@ -0,0 +1,164 @@
+// Hostile strings in the data or the URL must come out as text: no injected
+// elements, no event handler attributes, no javascript: URLs.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/page');
+
+const PAYLOAD = '<img src=x onerror="window.__xss=1">';
+const BREAKOUT = '"><script>window.__xss=1</script>';
+const QUOTES = '\' onmouseover=\'window.__xss=1\' x=\'';
+const HOSTILE_BRAND = `Evil ${PAYLOAD} & Co`;
+const HOSTILE_ID = `evil'id"${BREAKOUT}`;
+
+/**
+ * A bike record that passes validation but has markup in every text field.
+ * @returns {object} The bike.
+ */
+function hostileBike() {
+    return {
+        id: HOSTILE_ID,
+        brand: HOSTILE_BRAND,
+        model: `Model ${BREAKOUT}`,
+        year: 2020,
+        status: `In Production ${PAYLOAD}`,
+        tags: [`Sport${PAYLOAD}`, QUOTES],
+        imageURL: 'javascript:window.__xss=1',
+        history: `History ${PAYLOAD} ${BREAKOUT}`,
+        specs: {
+            engine: `Engine ${PAYLOAD}`,
+            horsepower: 100,
+            torque: 90,
+            mileage_kmpl: 20,
+            top_speed: 200,
+            weight: 180,
+            cc: 900,
+            price_original_inr: 1000000
+        },
+        color_variants: [PAYLOAD, QUOTES]
+    };
+}
+
+const DATABASE = { [HOSTILE_BRAND]: [hostileBike()] };
+
+/**
+ * Fails if anything under `root` looks injected: script elements, on*
+ * attributes, or javascript: URLs.
+ * @param {Element} root The rendered container.
+ */
+function assertNoInjection(root) {
+    assert.equal(root.querySelectorAll('script').length, 0, 'no <script> elements');
+    for (const element of root.querySelectorAll('*')) {
+        for (const { name, value } of element.attributes) {
+            assert.ok(!name.startsWith('on'), `<${element.tagName.toLowerCase()}> has an ${name} attribute`);
+            if (name === 'src' || name === 'href') {
+                assert.ok(!/^\s*javascript:/i.test(value), `${name}="${value}"`);
+            }
+        }
+    }
+    // Only the images the templates create (one per bike) may exist
+    for (const img of root.querySelectorAll('img')) {
+        assert.ok(img.dataset.bikeId, 'every <img> is a bike image');
+    }
+}
+
+test('html`` escapes interpolated values but keeps nested markup', () => {
+    const window = loadPage('index.html');
+    const markup = String(window.eval(`html\`<p title="\${${JSON.stringify(QUOTES)}}">\${${JSON.stringify(PAYLOAD)}}\${html\`<b>ok</b>\`}\${[1, html\`<i>2</i>\`]}\${null}\${false}\${0}</p>\``));
+    assert.equal(markup, '<p title="&#39; onmouseover=&#39;window.__xss=1&#39; x=&#39;">&lt;img src=x onerror=&quot;window.__xss=1&quot;&gt;<b>ok</b>1<i>2</i>0</p>');
+});
+
+test('safeURL only allows relative, http(s) and image data URLs', () => {
+    const window = loadPage('index.html');
+    assert.equal(window.safeURL('https://example.com/a.jpg'), 'https://example.com/a.jpg');
+    assert.equal(window.safeURL('images/a.jpg'), 'images/a.jpg');
+    assert.equal(window.safeURL('data:image/png;base64,AAAA'), 'data:image/png;base64,AAAA');
+    assert.equal(window.safeURL('javascript:alert(1)'), '');
+    assert.equal(window.safeURL(' JavaScript:alert(1)'), '');
+    assert.equal(window.safeURL('java\nscript:alert(1)'), '');
+    assert.equal(window.safeURL('\u0001\tjav\tascript\r:alert(1)'), '');
+    assert.equal(window.safeURL('https://example.com/a\n.jpg '), 'https://example.com/a.jpg');
+    assert.equal(window.safeURL('data:text/html,<script>alert(1)</script>'), '');
+});
+
+test('createBikeCard() renders hostile data as text', async () => {
+    const window = loadPage('index.html', { database: DATABASE });
+    const [bike] = await window.loadDatabase();
+    const container = window.document.createElement('div');
+    container.innerHTML = window.createBikeCard(bike, new Set(['sport']));
+
+    assertNoInjection(container);
+    assert.equal(container.querySelector('h3').textContent, bike.model);
+    assert.ok(container.querySelector('.brand').textContent.startsWith(HOSTILE_BRAND));
+    assert.deepEqual([...container.querySelectorAll('.tag')].map(tag => tag.textContent), bike.tags);
+    assert.equal(container.querySelector('[data-compare-id]').dataset.compareId, HOSTILE_ID);
+    assert.equal(container.querySelector('.bike-card').dataset.href, `bike.html?id=${encodeURIComponent(HOSTILE_ID)}`);
+    assert.match(container.querySelector('img').getAttribute('src'), /^data:image\/svg\+xml/);
+});
+
+test('the compare button works with quotes in the bike id', async () => {
+    const window = loadPage('brand.html', { query: `?brand=${encodeURIComponent(HOSTILE_BRAND)}`, database: DATABASE });
+    await window.loadBrandPage();
+    window.document.querySelector('#brand-bikes [data-action="toggle-compare"]').click();
+    assert.deepEqual([...window.getCompareList()], [HOSTILE_ID]);
+});
+
+test('the bike detail page renders hostile data as text', async () => {
+    const window = loadPage('bike.html', { query: `?id=${encodeURIComponent(HOSTILE_ID)}`, database: DATABASE });
+    await window.loadBikeDetailPage();
+    const detail = window.document.getElementById('bike-detail');
+    const bike = hostileBike();
+
+    assertNoInjection(detail);
+    assert.equal(detail.querySelector('h1').textContent, bike.model);
+    assert.ok(detail.textContent.includes(bike.history));
+    assert.ok(detail.textContent.includes(bike.specs.engine));
+    assert.deepEqual([...detail.querySelectorAll('.color-item')].map(item => item.textContent), bike.color_variants);
+    assert.equal(detail.querySelector('.brand-link').getAttribute('href'), `brand.html?brand=${encodeURIComponent(HOSTILE_BRAND)}`);
+});
+
+test('the bike detail page shows an unknown hostile id as not found', async () => {
+    const window = loadPage('bike.html', { query: `?id=${encodeURIComponent(BREAKOUT)}`, database: DATABASE });
+    await window.loadBikeDetailPage();
+    const detail = window.document.getElementById('bike-detail');
+    assertNoInjection(detail);
+    assert.match(detail.textContent, /Bike not found/);
+});
+
+test('the brand page echoes a hostile ?brand= as text', async () => {
+    const window = loadPage('brand.html', { query: `?brand=${encodeURIComponent(PAYLOAD)}`, database: DATABASE });
+    await window.loadBrandPage();
+    const bikes = window.document.getElementById('brand-bikes');
+
+    assertNoInjection(bikes);
+    assert.equal(bikes.querySelectorAll('img').length, 0);
+    assert.equal(bikes.textContent, `There are no models for the brand "${PAYLOAD}" in the database.`);
+    assert.equal(window.document.getElementById('brand-name').textContent, 'Brand Not Found');
+});
+
+test('the brand page renders a hostile brand name as text', async () => {
+    const window = loadPage('brand.html', { query: `?brand=${encodeURIComponent(HOSTILE_BRAND)}`, database: DATABASE });
+    await window.loadBrandPage();
+
+    assert.equal(window.document.getElementById('brand-name').textContent, HOSTILE_BRAND);
+    const bikes = window.document.getElementById('brand-bikes');
+    assertNoInjection(bikes);
+    assert.equal(bikes.querySelectorAll('.bike-card').length, 1);
+});
+
+test('the brand page handles a missing or malformed ?brand=', async () => {
+    for (const query of ['', '?brand=%E0%A4%A', '?brand=%00%1F']) {
+        const window = loadPage('brand.html', { query, database: DATABASE });
+        await window.loadBrandPage();
+        assert.equal(window.document.getElementById('brand-name').textContent, 'Brand Not Found', query);
+    }
+});
+
+test('URL parameters are cleaned before use', () => {
+    const window = loadPage('bikes.html', { query: `?brand=${encodeURIComponent(`\u0000A\u001Fb `)}&q=${'x'.repeat(500)}` });
+    assert.equal(window.getQueryParam('brand'), 'Ab');
+    assert.equal(window.getQueryParam('missing'), '');
+    const filters = window.filtersFromQuery(window.location.search);
+    assert.deepEqual([...filters.brand], ['Ab']);
+    assert.equal(filters.search.length, 200);
+});
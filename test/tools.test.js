@@ -0,0 +1,135 @@
+// Tests for the Node commands in tools/, run against copies of the fixture database.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { ROOT, loadScripts, readFixture } = require('./helpers/scripts');
+const { formatDatabase } = require('../schema.js');
+const { parseCSV, readCell, bikeFromCSVRow, mergeCSV } = require('../tools/merge-csv.js');
+
+const site = loadScripts();
+
+const HEADER = 'id,brand,model,year,status,tags,image_url,history,engine,horsepower,torque_nm,mileage_kmpl,top_speed_kmh,weight_kg,cc,price_inr,color_variants';
+const DELTA_ROW = ',Delta,One R,2024,in-production,Sport; Naked,https://example.com/one.jpg,"Delta\'s first bike, ""the One"".",650cc twin,70,60,,200,190,650,,Red; Black';
+
+/**
+ * Runs tools/merge-csv.js on a CSV file, against a copy of a database.
+ * @param {string} csv The CSV file contents.
+ * @param {Array<string>} [args] Extra arguments, e.g. '--dry-run'.
+ * @param {object} [database] The database (the fixture by default).
+ * @returns {{status: number, output: string, database: string}} The exit code,
+ *   what it printed and the database file afterwards.
+ */
+function runMergeCSV(csv, args = [], database = readFixture()) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'merge-csv-'));
+    const csvFile = path.join(dir, 'new.csv');
+    const dbFile = path.join(dir, 'database.json');
+    fs.writeFileSync(csvFile, csv);
+    fs.writeFileSync(dbFile, formatDatabase(database));
+    try {
+        let status = 0;
+        let output;
+        try {
+            output = execFileSync(process.execPath, [path.join(ROOT, 'tools', 'merge-csv.js'), csvFile, dbFile, ...args], { encoding: 'utf8' });
+        } catch (error) {
+            status = error.status;
+            output = error.stdout + error.stderr;
+        }
+        return { status, output, database: fs.readFileSync(dbFile, 'utf8') };
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+test('parseCSV() reads quoted cells, CRLF line endings and a BOM', () => {
+    assert.deepEqual(parseCSV('\uFEFFa,b\r\n"1,5","say ""hi""\nthere"\r\n\r\n,x'), [
+        ['a', 'b'],
+        ['1,5', 'say "hi"\nthere'],
+        ['', 'x']
+    ]);
+});
+
+test('bikeFromCSVRow() builds a record and fills in a missing id', () => {
+    const [header, cells] = parseCSV(`${HEADER}\n${DELTA_ROW}`);
+    const bike = bikeFromCSVRow(Object.fromEntries(header.map((name, i) => [name, cells[i]])));
+    assert.equal(bike.id, 'delta_one_r_2024');
+    assert.equal(bike.status, 'In Production');
+    assert.deepEqual(bike.tags, ['Sport', 'Naked']);
+    assert.equal(bike.history, 'Delta\'s first bike, "the One".');
+    assert.deepEqual(bike.specs, {
+        engine: '650cc twin', horsepower: 70, torque: 60, mileage_kmpl: null, top_speed: 200, weight: 190, cc: 650, price_original_inr: null
+    });
+    assert.equal(bike.production, undefined, 'optional objects are left out without their columns');
+});
+
+test('readCell() removes the formula guard toCSVCell() adds, and nothing else', () => {
+    ['=SUM(A1)', '+1', '-x', '@here', '\tTabbed', '\rReturn', '\'Twas'].forEach(text => {
+        const [[cell]] = parseCSV(site.toCSVCell(text));
+        assert.equal(readCell(cell, 'string'), text);
+    });
+});
+
+test('a CSV export merges back as new bikes once the ids are changed', () => {
+    const original = readFixture().Alpha[0];
+    const exported = site.toCSV([site.toExportRecord(site.validateDatabase(readFixture()).bikes[0], { rank: 1 })]);
+
+    const again = mergeCSV(readFixture(), `\uFEFF${exported}`);
+    assert.deepEqual(again.violations.map(v => v.message), [`duplicate id "${original.id}", already used in the database (Alpha[0])`]);
+
+    const edited = exported.replace(`${original.id},`, ',').replace(',Street 999,', ',Street 999 R,');
+    const { data, bikes, violations, ignored } = mergeCSV(readFixture(), edited);
+    assert.deepEqual(violations, []);
+    assert.ok(ignored.includes('rank') && ignored.includes('power_to_weight'));
+    assert.deepEqual(bikes, [{ ...original, id: 'alpha_street_999_r_2020', model: 'Street 999 R' }]);
+    assert.equal(data.Alpha.length, 4);
+});
+
+test('mergeCSV() reports schema errors and duplicate ids by row', () => {
+    const taken = DELTA_ROW.replace(',Delta,', 'alpha_street_999_2020,Delta,').replace(',2024,', ',soon,');
+    const { bikes, violations, ignored } = mergeCSV(readFixture(), [`${HEADER},notes`, DELTA_ROW, DELTA_ROW, taken].join('\n'));
+    assert.equal(bikes.length, 3);
+    assert.deepEqual(ignored, ['notes']);
+    assert.deepEqual(violations.filter(v => v.severity === 'error').map(v => `${v.path}: ${v.message}`), [
+        'row 4.year: must be integer, got string',
+        'row 3.id: duplicate id "delta_one_r_2024", already used in row 2',
+        'row 4.id: duplicate id "alpha_street_999_2020", already used in the database (Alpha[0])'
+    ]);
+});
+
+test('merge-csv adds the bikes and writes the database sorted and formatted', () => {
+    const { status, output, database } = runMergeCSV(`${HEADER}\r\n${DELTA_ROW}\r\n`);
+    assert.equal(status, 0, output);
+    assert.match(output, /Added 1 bike to .*database\.json \(new brands: Delta; add them to brands\.json too\)/);
+    const data = JSON.parse(database);
+    assert.deepEqual(Object.keys(data), ['Alpha', 'Bravo', 'Charlie', 'Delta']);
+    assert.equal(data.Delta[0].id, 'delta_one_r_2024');
+    assert.equal(database, formatDatabase(data));
+});
+
+test('merge-csv writes nothing on a dry run or when a row is rejected', () => {
+    const original = formatDatabase(readFixture());
+    const dryRun = runMergeCSV(`${HEADER}\n${DELTA_ROW}`, ['--dry-run']);
+    assert.equal(dryRun.status, 0, dryRun.output);
+    assert.match(dryRun.output, /Would add 1 bike/);
+    assert.equal(dryRun.database, original);
+
+    const rejected = runMergeCSV(`${HEADER}\n${DELTA_ROW}\n${DELTA_ROW}`);
+    assert.equal(rejected.status, 1);
+    assert.match(rejected.output, /duplicate id "delta_one_r_2024"/);
+    assert.match(rejected.output, /1 error, nothing was written/);
+    assert.equal(rejected.database, original);
+});
+
+test('merge-csv adds bikes to the key that holds their brand, even when it is named otherwise', () => {
+    // Filed like "EBR (Erik Buell Racing)", which holds the bikes of brand "EBR"
+    const { Alpha, ...rest } = readFixture();
+    const { status, output, database } = runMergeCSV(`${HEADER}\n${DELTA_ROW.replace(',Delta,One R,', ',Alpha,One R,')}`, [], { 'Alpha Motors': Alpha, ...rest });
+    assert.equal(status, 0, output);
+    assert.doesNotMatch(output, /new brands/);
+    const data = JSON.parse(database);
+    assert.deepEqual(Object.keys(data), ['Alpha Motors', 'Bravo', 'Charlie']);
+    assert.deepEqual(data['Alpha Motors'].map(bike => bike.id), ['alpha_mystery_750_2001', 'alpha_one_r_2024', 'alpha_street_999_2020', 'alpha_tourer_1000_2019']);
+});
@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+// Adds the bikes in a CSV file to database.json. Every row is checked against
+// the bike schema and for ids already in the database (or earlier in the
+// file); if any row has an error, nothing is written. Otherwise the merged
+// database is written back sorted and formatted (see formatDatabase() in schema.js).
+//
+// Usage:
+//   node tools/merge-csv.js new-bikes.csv [path/to/database.json] [--dry-run]
+//
+//   --dry-run  check the rows and report what would be added, without writing
+//
+// The header row names the columns (see CSV_COLUMNS below). The site's CSV
+// export uses the same names and has every required column, so an exported
+// file can be edited and merged back as new bikes: only new ids are merged, so
+// give each row a new id, or clear it. Its other columns (derived metrics, rank)
+// are ignored. Lists (tags, color_variants) are separated by ';'. An empty id
+// is filled in as brand_model_year.
+//
+// Exit codes: 0 = merged (or would be), 1 = rows rejected, 2 = file unreadable.
+
+const fs = require('fs');
+const path = require('path');
+const { STATUS_CATEGORIES, validateBike, formatViolation, makeBikeId, formatDatabase, mergeBikes } = require('../schema.js');
+
+// CSV columns: where each goes in the bike record and how its cells are read
+const CSV_COLUMNS = {
+    id: { path: ['id'], type: 'string' },
+    brand: { path: ['brand'], type: 'string' },
+    model: { path: ['model'], type: 'string' },
+    year: { path: ['year'], type: 'number' },
+    status: { path: ['status'], type: 'status' },
+    units_built: { path: ['production', 'units'], type: 'number' },
+    tags: { path: ['tags'], type: 'list' },
+    image_url: { path: ['imageURL'], type: 'string' },
+    history: { path: ['history'], type: 'string' },
+    engine: { path: ['specs', 'engine'], type: 'string' },
+    horsepower: { path: ['specs', 'horsepower'], type: 'number' },
+    torque_nm: { path: ['specs', 'torque'], type: 'number' },
+    mileage_kmpl: { path: ['specs', 'mileage_kmpl'], type: 'number' },
+    top_speed_kmh: { path: ['specs', 'top_speed'], type: 'number' },
+    weight_kg: { path: ['specs', 'weight'], type: 'number' },
+    cc: { path: ['specs', 'cc'], type: 'number' },
+    price_inr: { path: ['specs', 'price_original_inr'], type: 'number' },
+    color_variants: { path: ['color_variants'], type: 'list' }
+};
+
+/**
+ * Parses CSV text (RFC 4180: quoted cells may hold commas, quotes and line breaks).
+ * @param {string} text The file contents.
+ * @returns {Array<Array<string>>} The rows, each an array of cells. Blank lines are skipped.
+ */
+function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Reads one cell into a record value. Numbers that don't parse are kept as
+ * text, so the schema check reports them ("must be number, got string"). The
+ * apostrophe the site's CSV export puts before formula-like text (see toCSVCell()
+ * in script.js) is removed; trim() has already dropped whitespace before it.
+ * @param {string} cell The cell.
+ * @param {string} type 'string', 'number', 'status' or 'list'.
+ * @returns {any} The value: null for an empty number, [] for an empty list.
+ */
+function readCell(cell, type) {
+    const value = cell.trim().replace(/^'(?=[=+\-@\t\r])/, '');
+    switch (type) {
+        case 'number':
+            if (value === '') return null;
+            return Number.isFinite(Number(value)) ? Number(value) : value;
+        case 'list':
+            return value.split(';').map(item => item.trim()).filter(Boolean);
+        case 'status':
+            return STATUS_CATEGORIES[value] || value; // A slug such as "in-production" is fine too
+        default:
+            return value;
+    }
+}
+
+/**
+ * Builds a bike record from a CSV row. Columns missing from the file are left
+ * out of the record (the schema check reports the required ones).
+ * @param {object} row Column name -> cell.
+ * @returns {object} The bike record.
+ */
+function bikeFromCSVRow(row) {
+    const bike = {};
+    for (const [column, { path: [key, subkey], type }] of Object.entries(CSV_COLUMNS)) {
+        if (!(column in row)) continue;
+        const value = readCell(row[column], type);
+        if (subkey === undefined) {
+            bike[key] = value;
+        } else if (value !== null || key === 'specs') {
+            bike[key] = { ...bike[key], [subkey]: value };
+        }
+    }
+    if (!bike.id && bike.brand && bike.model && Number.isInteger(bike.year)) {
+        bike.id = makeBikeId(bike.brand, bike.model, bike.year);
+    }
+    return bike;
+}
+
+/**
+ * Checks the bikes of a CSV file and merges them into a database.
+ * @param {object} dataByBrand The parsed database.json.
+ * @param {string} csvText The CSV file contents.
+ * @returns {{data: object, bikes: Array<object>, violations: Array<object>, ignored: Array<string>}}
+ *   The merged database, the bikes read, every violation (paths name the CSV row,
+ *   counting the header as row 1) and the columns that were ignored.
+ */
+function mergeCSV(dataByBrand, csvText) {
+    const [header = [], ...rows] = parseCSV(csvText);
+    const columns = header.map(name => name.trim());
+    const ignored = columns.filter(name => !(name in CSV_COLUMNS));
+    const rowPath = index => `row ${index + 2}`;
+
+    const bikes = rows.map(cells => bikeFromCSVRow(Object.fromEntries(columns.map((name, i) => [name, cells[i] ?? '']))));
+    const violations = bikes.flatMap((bike, index) => validateBike(bike, rowPath(index)));
+
+    const { data, duplicates } = mergeBikes(dataByBrand, bikes);
+    duplicates.forEach(({ id, index, path: existing, first }) => {
+        const where = existing ? `the database (${existing})` : rowPath(first);
+        violations.push({ severity: 'error', path: `${rowPath(index)}.id`, message: `duplicate id "${id}", already used in ${where}` });
+    });
+    return { data, bikes, violations, ignored };
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run');
+    const [csvFile, dbFile = path.join(__dirname, '..', 'database.json')] = args.filter(arg => !arg.startsWith('--'));
+    if (!csvFile) {
+        console.error('Usage: node tools/merge-csv.js new-bikes.csv [path/to/database.json] [--dry-run]');
+        process.exit(2);
+    }
+
+    let csvText;
+    let dataByBrand;
+    try {
+        csvText = fs.readFileSync(csvFile, 'utf8');
+        dataByBrand = JSON.parse(fs.readFileSync(dbFile, 'utf8'));
+    } catch (error) {
+        console.error(`Could not read ${error.path || dbFile}: ${error.message}`);
+        process.exit(2);
+    }
+
+    const { data, bikes, violations, ignored } = mergeCSV(dataByBrand, csvText);
+    const errors = violations.filter(v => v.severity === 'error');
+    if (ignored.length > 0) console.log(`Ignored columns: ${ignored.join(', ')}`);
+    violations.forEach(v => console.log(formatViolation(v)));
+
+    if (bikes.length === 0) {
+        console.log(`\n${csvFile}: no bikes to add`);
+    } else if (errors.length > 0) {
+        console.log(`\n${csvFile}: ${errors.length} ${errors.length === 1 ? 'error' : 'errors'}, nothing was written`);
+        process.exit(1);
+    } else {
+        // brands.json is keyed by the bikes' brand, which not every brand key matches
+        const knownBrands = new Set(Object.values(dataByBrand).filter(Array.isArray).flat().map(bike => bike && bike.brand));
+        const newBrands = [...new Set(bikes.map(bike => bike.brand))].filter(brand => !knownBrands.has(brand));
+        if (!dryRun) fs.writeFileSync(dbFile, formatDatabase(data));
+        console.log(`\n${dryRun ? 'Would add' : 'Added'} ${bikes.length} ${bikes.length === 1 ? 'bike' : 'bikes'} to ${dbFile}` +
+            (newBrands.length > 0 ? ` (new brands: ${newBrands.join(', ')}; add them to brands.json too)` : ''));
+    }
+}
+
+module.exports = { CSV_COLUMNS, parseCSV, readCell, bikeFromCSVRow, mergeCSV };
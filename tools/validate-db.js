@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+// Validates database.json against the bike schema in schema.js and prints
+// every violation with its path. The brands.json next to it, if there is one,
+// is checked against the brand schema and the bikes as well.
+//
+// Usage:
+//   node tools/validate-db.js [path/to/database.json] [--strict] [--json]
+//
+//   --strict  exit with a failure code on warnings as well as errors
+//   --json    print the violations as JSON instead of text
+//
+// Exit codes: 0 = clean (or warnings only), 1 = violations, 2 = file unreadable.
+
+const fs = require('fs');
+const path = require('path');
+const { validateDatabase, validateBrands, formatViolation } = require('../schema.js');
+
+const args = process.argv.slice(2);
+const strict = args.includes('--strict');
+const asJson = args.includes('--json');
+const file = args.find(arg => !arg.startsWith('--')) || path.join(__dirname, '..', 'database.json');
+
+let dataByBrand;
+try {
+    dataByBrand = JSON.parse(fs.readFileSync(file, 'utf8'));
+} catch (error) {
+    console.error(`Could not read ${file}: ${error.message}`);
+    process.exit(2);
+}
+
+const { bikes, violations } = validateDatabase(dataByBrand);
+
+const brandsFile = path.join(path.dirname(file), 'brands.json');
+let brandViolations = [];
+if (fs.existsSync(brandsFile)) {
+    try {
+        brandViolations = validateBrands(JSON.parse(fs.readFileSync(brandsFile, 'utf8')), bikes).violations
+            .map(v => ({ ...v, path: `brands.json ${v.path}` }));
+    } catch (error) {
+        console.error(`Could not read ${brandsFile}: ${error.message}`);
+        process.exit(2);
+    }
+}
+violations.push(...brandViolations);
+const errors = violations.filter(v => v.severity === 'error');
+const warnings = violations.filter(v => v.severity === 'warning');
+
+if (asJson) {
+    console.log(JSON.stringify({ file, valid: bikes.length, errors, warnings }, null, 2));
+} else {
+    violations.forEach(v => console.log(formatViolation(v)));
+    console.log(`\n${file}: ${bikes.length} valid records, ${errors.length} errors, ${warnings.length} warnings`);
+}
+
+if (errors.length > 0 || (strict && warnings.length > 0)) {
+    process.exit(1);
+}